@@ -0,0 +1,109 @@
+import express, { json } from "express";
+import cors from "cors";
+import mongoose from "mongoose";
+import defaultConfig from "./config";
+import { systemClock } from "./utils/clock";
+import { runInContext } from "./utils/appContext";
+import { createRateLimitStore } from "./services/rateLimitStore";
+import { createFaultState } from "./services/faultInjection";
+import { createMailTransport } from "./services/mail";
+import { isDraining } from "./services/health";
+import { apiRateLimit } from "./middleware/rateLimitMiddleware";
+import { notFoundHandler, errorHandler } from "./middleware/errorHandler";
+import { swaggerUi, swaggerDocs } from "./swagger";
+import healthRoutes from "./routes/healthRoutes";
+import authRoutes from "./routes/authRoutes";
+import clientRoutes from "./routes/clientRoutes";
+import clientOrdersRoutes from "./routes/clientOrdersRoutes";
+import orderRoutes from "./routes/orderRoutes";
+import productRoutes from "./routes/productRoutes";
+import auditRoutes from "./routes/auditRoutes";
+import reportRoutes from "./routes/reportRoutes";
+import webhookRoutes from "./routes/webhookRoutes";
+import faultRoutes from "./routes/faultRoutes";
+import testRoutes from "./routes/testRoutes";
+
+/**
+ * Builds the Express app, without binding a port or connecting to MongoDB, so that test suites
+ * can mount it in-process (see server.js to run it). Options:
+ * - `config`: settings as returned by loadConfig, by default those of the environment
+ * - `connection`: the mongoose connection the models and the readiness probe use, mongoose's
+ *   default one unless given, e.g. one to an in-memory MongoDB
+ * - `clock`: `{ now() }` in milliseconds, for token and lockout expiry, idempotency keys, rate
+ *   limiting, webhook retries and the health probes
+ * - `logger`: `{ info, warn, error }`, console by default
+ * - `rateLimitStore`: replaces the store RATE_LIMIT_STORE names (see services/rateLimitStore.js)
+ * - `mailTransport`: replaces the transport MAIL_TRANSPORT names (see services/mail.js)
+ *
+ * They end up in `app.locals`, along with the app's fault injection and shutdown state, and each
+ * request runs in that context (see utils/appContext.js), so several apps can run side by side.
+ */
+export const createApp = ({
+    config = defaultConfig,
+    connection = mongoose.connection,
+    clock = systemClock,
+    logger = console,
+    rateLimitStore = createRateLimitStore(config.rateLimit.store, { clock }),
+    mailTransport = createMailTransport(config.mail, logger),
+} = {}) => {
+    const app = express();
+    Object.assign(app.locals, {
+        config,
+        connection,
+        clock,
+        logger,
+        rateLimitStore,
+        mailTransport,
+        faults: createFaultState(config),
+        startedAt: clock.now(),
+        draining: false,
+    });
+
+    // Must come first: the services and models read the app's settings and connection from this context
+    app.use((req, res, next) => runInContext(app.locals, next));
+
+    // Number of proxies in front of the app, so that rate limits see the client's IP
+    app.set("trust proxy", config.trustProxy || false);
+
+    // Once shutdown has started, responses close their connection so that keep-alive clients reconnect elsewhere
+    app.use((req, res, next) => {
+        if (isDraining(app)) res.set("Connection", "close");
+        next();
+    });
+
+    app.use(json());
+    // Only the CORS_ORIGINS origins may call the API from a browser; "*" allows any
+    app.use(cors({ origin: config.cors.origins.includes("*") ? "*" : config.cors.origins }));
+
+    // Probes come before the rate limit, so that polling them never gets a 429
+    app.use("/health", healthRoutes);
+
+    // Lets test suites reset the database to a known fixture set. Not rate limited either, as it resets the limits.
+    if (config.env === "test") app.use("/test", testRoutes);
+
+    app.use(apiRateLimit);
+
+    app.get("/", (req, res) => {
+        res.send("API is running...");
+    });
+
+    app.use("/auth", authRoutes);
+    app.use("/clients", clientRoutes);
+    app.use("/clients", clientOrdersRoutes);
+    app.use("/orders", orderRoutes);
+    app.use("/products", productRoutes);
+    app.use("/audit", auditRoutes);
+    app.use("/reports", reportRoutes);
+    app.use("/webhooks", webhookRoutes);
+
+    // Fault injection is a testing aid and is never exposed in production
+    if (config.env !== "production") app.use("/faults", faultRoutes);
+
+    app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+
+    // Must come last: unmatched routes and every error end up in the error envelope
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+};
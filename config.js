@@ -0,0 +1,289 @@
+import { config as loadEnv } from "dotenv";
+import packageJson from "./package.json";
+import { FAULT_NAMES } from "./services/faultManifest";
+
+// Reads .env before anything looks at process.env
+loadEnv();
+
+/**
+ * Every setting of the app, read once from the environment and validated. Importing this module
+ * throws a ConfigError listing every missing or invalid setting, so a misconfigured server stops
+ * at startup instead of failing on its first request.
+ */
+
+export const ENVIRONMENTS = ["development", "test", "production"];
+
+const DEV_JWT_SECRET = "development-only-secret-never-use-in-production";
+
+// Secrets refused in production, whatever their length
+const WEAK_SECRETS = [DEV_JWT_SECRET, "your_secret_key", "secret", "changeme", "change_me", "jwt_secret"];
+const MIN_SECRET_LENGTH = 32;
+
+// Defaults shared by every environment
+const DEFAULTS = {
+    PORT: "5000",
+    TRUST_PROXY: "0",
+    DB_CONNECT_ATTEMPTS: "10",
+    DB_CONNECT_RETRY_SECONDS: "2",
+    SHUTDOWN_TIMEOUT_SECONDS: "10",
+    ACCESS_TOKEN_TTL_MINUTES: "60",
+    REFRESH_TOKEN_TTL_DAYS: "7",
+    IDEMPOTENCY_KEY_TTL_HOURS: "24",
+    IDEMPOTENCY_LEASE_SECONDS: "60",
+    RATE_LIMIT_ENABLED: "true",
+    RATE_LIMIT_STORE: "memory",
+    REQUIRE_EMAIL_VERIFICATION: "true",
+    EMAIL_VERIFICATION_TTL_HOURS: "24",
+    PASSWORD_RESET_TTL_MINUTES: "60",
+    MAX_FAILED_LOGINS: "5",
+    LOCKOUT_MINUTES: "15",
+    MAIL_TRANSPORT: "console",
+    MAIL_FILE: "mail.log",
+    MAIL_FROM: "no-reply@example.com",
+    IMPORT_MAX_SIZE: "5mb",
+    WEBHOOK_MAX_ATTEMPTS: "6",
+    WEBHOOK_RETRY_BASE_SECONDS: "30",
+    WEBHOOK_TIMEOUT_SECONDS: "10",
+    CLIENT_DELETE_ORDER_POLICY: "block",
+    FAULTS: "",
+};
+
+// Defaults per NODE_ENV, over DEFAULTS. Production has no database, secret or CORS default: they must be set.
+const PROFILES = {
+    development: {
+        MONGO_URI: "mongodb://127.0.0.1:27017/apitestframework",
+        JWT_SECRET: DEV_JWT_SECRET,
+        CORS_ORIGINS: "*",
+    },
+    test: {
+        MONGO_URI: "mongodb://127.0.0.1:27017/apitestframework-test",
+        JWT_SECRET: DEV_JWT_SECRET,
+        CORS_ORIGINS: "*",
+        // Tests read the emailed tokens from MAIL_FILE
+        MAIL_TRANSPORT: "file",
+        // A suite sends far more requests than the limits allow; set it to true to test the limits themselves
+        RATE_LIMIT_ENABLED: "false",
+    },
+    production: {},
+};
+
+// RATE_LIMIT_* variables that are not per-policy overrides
+const RATE_LIMIT_SETTINGS = ["RATE_LIMIT_ENABLED", "RATE_LIMIT_STORE"];
+
+// Names of RATE_LIMIT_POLICIES in middleware/rateLimitMiddleware.js, which depends on this module
+export const RATE_LIMIT_POLICY_NAMES = ["login", "password", "register", "email", "auth", "read", "write"];
+
+/**
+ * What deleting a client does to its orders, set with CLIENT_DELETE_ORDER_POLICY:
+ * - block: refuse to delete a client that still has orders (default)
+ * - cascade: soft delete its orders too, releasing the stock of pending ones
+ * - orphan: leave its orders as they are
+ */
+export const CLIENT_DELETE_ORDER_POLICIES = ["block", "cascade", "orphan"];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `- ${problem}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+// Typed readers that record problems instead of throwing, so that every one of them is reported at once
+const createReader = (env, defaults) => {
+    const problems = [];
+    const raw = name => (env[name] !== undefined && env[name] !== "" ? env[name].trim() : defaults[name]);
+    const required = (name) => {
+        const value = raw(name);
+        if (value === undefined) problems.push(`${name} is required`);
+        return value;
+    };
+
+    return {
+        problems,
+        raw,
+        string: required,
+        integer(name, min = 1) {
+            const value = required(name);
+            if (value === undefined) return undefined;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < min) problems.push(`${name} must be an integer of at least ${min}, got "${value}"`);
+            return number;
+        },
+        boolean(name) {
+            const value = required(name);
+            if (value !== undefined && !["true", "false"].includes(value)) problems.push(`${name} must be true or false, got "${value}"`);
+            return value === "true";
+        },
+        oneOf(name, values) {
+            const value = required(name);
+            if (value !== undefined && !values.includes(value)) problems.push(`${name} must be one of ${values.join(", ")}, got "${value}"`);
+            return value;
+        },
+        list(name) {
+            const value = required(name);
+            return value === undefined ? [] : value.split(",").map(item => item.trim()).filter(Boolean);
+        },
+    };
+};
+
+/**
+ * JWT keys, each identified by a `kid` carried in the token header. JWT_KEYS lists
+ * `<kid>:<secret>` pairs: every listed key verifies tokens and JWT_SIGNING_KID (the first key by
+ * default) signs new ones. A single JWT_SECRET is a key with kid `default`.
+ */
+const readJwtKeys = (read, env) => {
+    const entries = read.raw("JWT_KEYS") !== undefined
+        ? read.list("JWT_KEYS")
+        : [read.raw("JWT_SECRET") === undefined ? undefined : `default:${read.raw("JWT_SECRET")}`].filter(Boolean);
+    if (!entries.length) {
+        read.problems.push("JWT_SECRET or JWT_KEYS is required");
+        return { keys: [], signingKid: undefined };
+    }
+
+    const keys = [];
+    for (const entry of entries) {
+        const separator = entry.indexOf(":");
+        const kid = entry.slice(0, separator);
+        const secret = entry.slice(separator + 1);
+        if (separator < 1 || !/^[\w.-]+$/.test(kid) || !secret) {
+            read.problems.push("JWT_KEYS must be a comma separated list of <kid>:<secret>, kids made of letters, digits, '.', '_' and '-'");
+            continue;
+        }
+        if (keys.some(key => key.kid === kid)) read.problems.push(`JWT key "${kid}" is listed twice`);
+        if (env === "production" && (secret.length < MIN_SECRET_LENGTH || WEAK_SECRETS.includes(secret))) {
+            read.problems.push(`JWT key "${kid}" is too weak: use a random secret of at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        keys.push({ kid, secret });
+    }
+
+    const signingKid = read.raw("JWT_SIGNING_KID") || (keys[0] && keys[0].kid);
+    if (keys.length && !keys.some(key => key.kid === signingKid)) read.problems.push(`JWT_SIGNING_KID "${signingKid}" is not one of the JWT keys`);
+    return { keys, signingKid };
+};
+
+// `*` allows any origin; otherwise each entry is an exact origin such as https://app.example.com
+const readCorsOrigins = (read) => {
+    const origins = read.list("CORS_ORIGINS");
+    for (const origin of origins) {
+        if (origin === "*") continue;
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed || parsed.origin !== origin) read.problems.push(`CORS_ORIGINS entry "${origin}" is not an origin like https://app.example.com`);
+    }
+    return origins;
+};
+
+// RATE_LIMIT_<POLICY>=<limit>/<seconds>, keyed by lowercase policy name
+const readRateLimitOverrides = (read, env) => {
+    const overrides = {};
+    for (const name of Object.keys(env).filter(key => key.startsWith("RATE_LIMIT_") && !RATE_LIMIT_SETTINGS.includes(key))) {
+        const match = /^(\d+)\/(\d+)$/.exec(env[name].trim());
+        const policy = name.slice("RATE_LIMIT_".length).toLowerCase();
+        if (!RATE_LIMIT_POLICY_NAMES.includes(policy)) {
+            read.problems.push(`${name} does not name a rate limit policy, use one of ${RATE_LIMIT_POLICY_NAMES.map(known => `RATE_LIMIT_${known.toUpperCase()}`).join(", ")}`);
+            continue;
+        }
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            read.problems.push(`${name} must be <limit>/<seconds>, e.g. 10/900, got "${env[name]}"`);
+            continue;
+        }
+        overrides[policy] = { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+    }
+    return overrides;
+};
+
+// FAULTS: comma separated fault names (see services/faultManifest.js), or "all"
+const readFaults = (read) => {
+    const names = read.list("FAULTS");
+    if (names.length === 1 && names[0] === "all") return [...FAULT_NAMES];
+    for (const name of names) {
+        if (!FAULT_NAMES.includes(name)) read.problems.push(`FAULTS entry "${name}" is not a fault, see GET /faults for the list`);
+    }
+    return names;
+};
+
+const deepFreeze = (value) => {
+    Object.values(value).forEach(child => {
+        if (child && typeof child === "object") deepFreeze(child);
+    });
+    return Object.freeze(value);
+};
+
+/**
+ * Builds the configuration from `env` (process.env by default) and the profile of its NODE_ENV
+ * (development when unset). Throws a ConfigError when a setting is missing or invalid.
+ */
+export const loadConfig = (env = process.env) => {
+    const nodeEnv = env.NODE_ENV || "development";
+    if (!ENVIRONMENTS.includes(nodeEnv)) throw new ConfigError([`NODE_ENV must be one of ${ENVIRONMENTS.join(", ")}, got "${nodeEnv}"`]);
+
+    const read = createReader(env, { ...DEFAULTS, ...PROFILES[nodeEnv] });
+    const port = read.integer("PORT");
+
+    const config = {
+        env: nodeEnv,
+        port,
+        mongoUri: read.string("MONGO_URI"),
+        // Number of proxies in front of the app, so that req.ip is the client's
+        trustProxy: read.integer("TRUST_PROXY", 0),
+        database: {
+            connectAttempts: read.integer("DB_CONNECT_ATTEMPTS"),
+            // Wait before the second attempt, doubled after each failure
+            connectRetrySeconds: read.integer("DB_CONNECT_RETRY_SECONDS"),
+        },
+        // How long a stopping server waits for in-flight requests
+        shutdownTimeoutSeconds: read.integer("SHUTDOWN_TIMEOUT_SECONDS"),
+        // Reported by the health endpoints
+        build: {
+            version: read.raw("BUILD_VERSION") || packageJson.version,
+            commit: read.raw("GIT_COMMIT") || null,
+        },
+        jwt: {
+            ...readJwtKeys(read, nodeEnv),
+            accessTokenTtlSeconds: read.integer("ACCESS_TOKEN_TTL_MINUTES") * 60,
+            refreshTokenTtlMs: read.integer("REFRESH_TOKEN_TTL_DAYS") * 24 * 60 * 60 * 1000,
+        },
+        cors: { origins: readCorsOrigins(read) },
+        idempotencyKeyTtlHours: read.integer("IDEMPOTENCY_KEY_TTL_HOURS"),
+        // How long a request being processed holds its key before a retry may take it over
+        idempotencyLeaseSeconds: read.integer("IDEMPOTENCY_LEASE_SECONDS"),
+        rateLimit: {
+            enabled: read.boolean("RATE_LIMIT_ENABLED"),
+            store: read.oneOf("RATE_LIMIT_STORE", ["memory", "mongo"]),
+            overrides: readRateLimitOverrides(read, env),
+        },
+        account: {
+            requireEmailVerification: read.boolean("REQUIRE_EMAIL_VERIFICATION"),
+            emailVerificationTtlHours: read.integer("EMAIL_VERIFICATION_TTL_HOURS"),
+            passwordResetTtlMinutes: read.integer("PASSWORD_RESET_TTL_MINUTES"),
+            maxFailedLogins: read.integer("MAX_FAILED_LOGINS"),
+            lockoutMinutes: read.integer("LOCKOUT_MINUTES"),
+        },
+        mail: {
+            transport: read.oneOf("MAIL_TRANSPORT", ["console", "file"]),
+            file: read.string("MAIL_FILE"),
+            from: read.string("MAIL_FROM"),
+            // Start of the links in emails
+            appUrl: (read.raw("APP_URL") || `http://localhost:${port}`).replace(/\/$/, ""),
+        },
+        importMaxSize: read.string("IMPORT_MAX_SIZE"),
+        webhooks: {
+            maxAttempts: read.integer("WEBHOOK_MAX_ATTEMPTS"),
+            retryBaseSeconds: read.integer("WEBHOOK_RETRY_BASE_SECONDS"),
+            timeoutSeconds: read.integer("WEBHOOK_TIMEOUT_SECONDS"),
+        },
+        clientDeleteOrderPolicy: read.oneOf("CLIENT_DELETE_ORDER_POLICY", CLIENT_DELETE_ORDER_POLICIES),
+        // Faults enabled at startup, outside production
+        faults: readFaults(read),
+    };
+
+    if (read.problems.length) throw new ConfigError(read.problems);
+    return deepFreeze(config);
+};
+
+export default loadConfig();
@@ -1,34 +1,38 @@
-require("dotenv").config();
-import express, { json } from "express";
-import cors from "cors";
-
-const app = express();
-app.use(json());
-app.use(cors());
-
-app.get("/", (req, res) => {
-    res.send("API is running...");
-});
-
-// Import routes
-import authRoutes from "./routes/authRoutes";
-app.use("/auth", authRoutes);
-
-import clientRoutes from "./routes/clientRoutes";
-app.use("/clients", clientRoutes);
-
-import orderRoutes from "./routes/orderRoutes";
-app.use("/orders", orderRoutes);
-
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
-
-// Connect to MongoDB
-import { connect } from "mongoose";
-connect(process.env.MONGO_URI)
-    .then(() => console.log("MongoDB Connected"))
-    .catch(err => console.error("MongoDB Connection Error:", err));
-
-// Add Swagger
-import { swaggerUi, swaggerDocs } from "./swagger";
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+// Loads and validates the settings first: a missing or weak one stops the process here
+import config from "./config";
+import { startServer } from "./server";
+
+// Runs the API until SIGTERM or SIGINT. A second signal exits right away.
+const main = async () => {
+    let api;
+    try {
+        api = await startServer({ config });
+    } catch (err) {
+        console.error("Failed to start the server:", err);
+        process.exit(1);
+    }
+    // Lets a parent process that started the server with fork() know it is ready
+    if (process.send) process.send({ status: "ready", port: api.port });
+
+    let stopping = false;
+    const shutdown = async (signal) => {
+        if (stopping) {
+            console.warn(`${signal} received again, exiting now`);
+            process.exit(1);
+        }
+        stopping = true;
+        console.log(`${signal} received, shutting down`);
+        try {
+            await api.close();
+            console.log("Shutdown complete");
+            process.exit(0);
+        } catch (err) {
+            console.error("Shutdown failed:", err);
+            process.exit(1);
+        }
+    };
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
+};
+
+main();
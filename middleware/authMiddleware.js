@@ -1,15 +1,20 @@
-import { verify } from "jsonwebtoken";
-const SECRET_KEY = "your_secret_key"; // Replace with env variable in production
+import { verifyAccessToken } from "../services/tokenService";
+import { hasFault } from "./faultMiddleware";
+import { UnauthorizedError } from "../utils/errors";
+
+export default async (req, res, next) => {
+  if (hasFault(req, "skip-auth")) return next();
 
-export default (req, res, next) => {
   const token = req.header("Authorization");
-  if (!token) return res.status(401).json({ message: "Access denied. No token provided." });
+  if (!token) return next(new UnauthorizedError("Access denied. No token provided."));
 
   try {
-    const decoded = verify(token.replace("Bearer ", ""), SECRET_KEY);
+    const decoded = await verifyAccessToken(token.replace("Bearer ", ""));
+    if (!decoded) return next(new UnauthorizedError("Invalid token", "INVALID_TOKEN"));
+
     req.user = decoded;
     next();
   } catch (err) {
-    res.status(401).json({ message: "Invalid token" });
+    next(err);
   }
 };
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { AppError, NotFoundError, PayloadTooLargeError, ValidationError } from "../utils/errors";
+
+/**
+ * Wrap an async route handler so that rejected promises reach the error handler.
+ */
+export const asyncHandler = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+const envelope = (code, message, details) => ({ error: details === undefined ? { code, message } : { code, message, details } });
+
+// Map errors raised by Mongoose, the MongoDB driver and body-parser onto AppErrors
+const normalize = (err) => {
+    if (err instanceof AppError) return err;
+
+    if (err instanceof mongoose.Error.CastError) {
+        // Only a malformed id is INVALID_ID; any other value of the wrong type fails validation on its field
+        if (err.kind === "ObjectId") {
+            return new AppError(400, "INVALID_ID", `Invalid ${err.path}: ${JSON.stringify(err.value)}`, { field: err.path });
+        }
+        return new ValidationError("Validation failed", [{ field: err.path, message: `must be a ${err.kind.toLowerCase()}` }]);
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        const details = Object.values(err.errors).map(fieldError => ({ field: fieldError.path, message: fieldError.message }));
+        return new AppError(400, "VALIDATION_ERROR", "Validation failed", details);
+    }
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return new AppError(409, "DUPLICATE_KEY", `A record with the same ${fields.join(", ") || "key"} already exists`, { fields });
+    }
+    if (err.type === "entity.parse.failed") {
+        return new AppError(400, "INVALID_JSON", "Request body is not valid JSON");
+    }
+    if (err.type === "entity.too.large") {
+        return new PayloadTooLargeError(`Request body is larger than ${err.limit} bytes`, { limit: err.limit });
+    }
+
+    return null;
+};
+
+/**
+ * Answers unmatched routes with the error envelope.
+ */
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, "ROUTE_NOT_FOUND"));
+};
+
+/**
+ * Last middleware of the app: every error ends up as `{ error: { code, message, details? } }`.
+ */
+export const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    const error = normalize(err);
+    if (!error) {
+        req.app.locals.logger.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+        return res.status(500).json(envelope("INTERNAL_ERROR", "Internal server error"));
+    }
+
+    res.status(error.status).json(envelope(error.code, error.message, error.details));
+};
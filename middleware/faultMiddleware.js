@@ -0,0 +1,32 @@
+import { activeFaultsForRoute } from "../services/faultInjection";
+import { AppError } from "../utils/errors";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// True when a fault of this kind is active for the current request
+export const hasFault = (req, kind) => (req.activeFaults || []).some(fault => fault.kind === kind);
+
+/**
+ * Applies the faults enabled for `route` (e.g. "GET /orders", as written in the manifest).
+ * Must be the first middleware of the route so that skip-auth can bypass authMiddleware.
+ */
+export const injectFaults = (route) => async (req, res, next) => {
+  const faults = activeFaultsForRoute(route);
+  req.activeFaults = faults;
+  if (!faults.length) return next();
+
+  for (const fault of faults) {
+    if (fault.kind === "latency") await sleep(fault.params.ms);
+
+    if (fault.kind === "random-500" && Math.random() < fault.params.probability) {
+      return next(new AppError(500, "INTERNAL_ERROR", "Internal server error"));
+    }
+
+    if (fault.kind === "wrong-status") {
+      const status = res.status.bind(res);
+      res.status = (code) => status(code === fault.params.from ? fault.params.to : code);
+    }
+  }
+
+  next();
+};
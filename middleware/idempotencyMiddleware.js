@@ -0,0 +1,112 @@
+import { createHash } from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey";
+import { appContext, bindContext, currentDate, currentTime } from "../utils/appContext";
+import { ValidationError, ConflictError, UnprocessableEntityError } from "../utils/errors";
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const MAX_KEY_LENGTH = 255;
+// Response headers stored with the body and sent again on replay
+const REPLAYED_HEADERS = ["ETag"];
+
+// How long a key and its stored response are kept (IDEMPOTENCY_KEY_TTL_HOURS)
+const keyTtlMs = () => appContext().config.idempotencyKeyTtlHours * 60 * 60 * 1000;
+// How long a key stays claimed by a request still being processed (IDEMPOTENCY_LEASE_SECONDS).
+// A request that never completes (e.g. the server crashed) no longer blocks retries once it has passed.
+const leaseMs = () => appContext().config.idempotencyLeaseSeconds * 1000;
+
+// JSON with sorted object keys, so that the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const requestHash = (req) =>
+  createHash("sha256").update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body ?? null)}`).digest("hex");
+
+// Creates the record for a new key, or returns the live record already stored for it
+const claimKey = async (userId, key, hash, attempts = 2) => {
+  try {
+    const record = await IdempotencyKey.create({ userId, key, requestHash: hash, expiresAt: new Date(currentTime() + leaseMs()) });
+    return { record };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (existing && existing.expiresAt > currentDate()) return { existing };
+
+  // Expired (a stored response past its TTL, or a processing claim past its lease) but not yet
+  // removed by the TTL index, or removed in the meantime: claim it again
+  if (!attempts) throw new ConflictError("A request with this Idempotency-Key is still being processed", undefined, "IDEMPOTENCY_REQUEST_IN_PROGRESS");
+  if (existing) await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+  return claimKey(userId, key, hash, attempts - 1);
+};
+
+// Stores the response once it has been sent. 5xx responses and aborted requests release the key so a retry runs again.
+const captureResponse = (res, record) => {
+  const json = res.json.bind(res);
+  let body;
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on("close", bindContext(() => {
+    const completed = res.writableFinished && res.statusCode < 500;
+    const store = completed
+      ? IdempotencyKey.updateOne({ _id: record._id }, {
+        state: "completed",
+        statusCode: res.statusCode,
+        body: JSON.parse(JSON.stringify(body ?? null)),
+        headers: Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name) !== undefined).map(name => [name, res.get(name)])),
+        expiresAt: new Date(currentTime() + keyTtlMs()),
+      })
+      : IdempotencyKey.deleteOne({ _id: record._id });
+    store.catch(err => appContext().logger.error(`Failed to store the response for Idempotency-Key ${record.key}:`, err));
+  }));
+};
+
+/**
+ * Makes a mutating route safe to retry. When the request carries an `Idempotency-Key` header,
+ * the first response (status, body and ETag) is stored per user and key, and later requests with
+ * the same key get that response replayed with an `Idempotent-Replayed: true` header. Reusing a
+ * key for a different request is a 422 `IDEMPOTENCY_KEY_REUSED`. Requests without the header are
+ * not affected.
+ *
+ * Must run after authMiddleware and validation, so that keys are scoped to the user and only
+ * valid requests are stored.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    const message = `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`;
+    return next(new ValidationError(message, [{ field: IDEMPOTENCY_HEADER, location: "headers", message }], "INVALID_IDEMPOTENCY_KEY"));
+  }
+
+  try {
+    const hash = requestHash(req);
+    const { record, existing } = await claimKey(req.user ? req.user.userId : null, key, hash);
+
+    if (record) {
+      captureResponse(res, record);
+      return next();
+    }
+
+    if (existing.requestHash !== hash) {
+      throw new UnprocessableEntityError("Idempotency-Key was already used for a different request", undefined, "IDEMPOTENCY_KEY_REUSED");
+    }
+    if (existing.state === "processing") {
+      throw new ConflictError("A request with this Idempotency-Key is still being processed", undefined, "IDEMPOTENCY_REQUEST_IN_PROGRESS");
+    }
+
+    res.set({ ...existing.headers, "Idempotent-Replayed": "true" });
+    res.status(existing.statusCode).json(existing.body);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,106 @@
+import { decodeAccessToken } from "../services/tokenService";
+import { TooManyRequestsError } from "../utils/errors";
+import { bindContext } from "../utils/appContext";
+
+const MINUTE = 60 * 1000;
+
+const byIp = req => [`ip:${req.ip}`];
+
+// The user of a validly signed access token, otherwise the IP. authMiddleware has not run yet at app level.
+const byUserOrIp = (req) => {
+  const header = req.header("Authorization");
+  const decoded = header ? decodeAccessToken(header.replace("Bearer ", "")) : null;
+  return decoded ? [`user:${decoded.userId}`] : byIp(req);
+};
+
+const byIpAndEmail = (req) => {
+  const email = req.body && typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+  return email ? [...byIp(req), `email:${email}`] : byIp(req);
+};
+
+// For routes behind authMiddleware
+const byIpAndUser = req => [...byIp(req), `user:${req.user.userId}`];
+
+/**
+ * Limits per route group: at most `limit` requests per `windowMs`, counted separately for each key
+ * `keys(req)` returns. With `skipSuccessfulRequests` only requests answered with 4xx/5xx count.
+ * `RATE_LIMIT_<NAME>=<limit>/<seconds>`, e.g. `RATE_LIMIT_LOGIN=10/900`, overrides a policy's numbers.
+ */
+export const RATE_LIMIT_POLICIES = {
+  // Failed logins, per IP and per email, so that neither one address nor one account can be brute-forced
+  login: { limit: 10, windowMs: 15 * MINUTE, keys: byIpAndEmail, skipSuccessfulRequests: true },
+  // Failed password changes, per IP and per user, so that a stolen access token can't guess the password
+  password: { limit: 10, windowMs: 15 * MINUTE, keys: byIpAndUser, skipSuccessfulRequests: true },
+  register: { limit: 5, windowMs: 60 * MINUTE, keys: byIp },
+  // Endpoints that send an email, per IP and per address, so that nobody's inbox can be flooded
+  email: { limit: 5, windowMs: 60 * MINUTE, keys: byIpAndEmail },
+  // Other public auth endpoints (refresh, verify-email, reset-password)
+  auth: { limit: 30, windowMs: 15 * MINUTE, keys: byIp },
+  // Every request, by method, see apiRateLimit
+  read: { limit: 300, windowMs: MINUTE, keys: byUserOrIp },
+  write: { limit: 60, windowMs: MINUTE, keys: byUserOrIp },
+};
+
+const withOverride = (name, config) => ({ ...RATE_LIMIT_POLICIES[name], ...config.rateLimit.overrides[name] });
+
+// RateLimit-* headers of the IETF draft, for the key closest to its limit
+const setHeaders = (res, policy, counters, now) => {
+  const tightest = counters.reduce((a, b) => (b.count > a.count ? b : a));
+  const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt.getTime() - now) / 1000));
+
+  res.set("RateLimit-Policy", `${policy.limit};w=${Math.round(policy.windowMs / 1000)}`);
+  res.set("RateLimit-Limit", String(policy.limit));
+  res.set("RateLimit-Remaining", String(Math.max(0, policy.limit - tightest.count)));
+  res.set("RateLimit-Reset", String(resetSeconds));
+  return resetSeconds;
+};
+
+/**
+ * Route middleware enforcing the named policy of RATE_LIMIT_POLICIES. Requests over the limit get a
+ * 429 `RATE_LIMITED` with a `Retry-After` header. If the store fails the request is let through.
+ * Disabled with `RATE_LIMIT_ENABLED=false`.
+ *
+ * The settings, store, clock and logger are those of the app handling the request (see app.js).
+ */
+export const rateLimit = (name) => {
+  if (!RATE_LIMIT_POLICIES[name]) throw new Error(`Unknown rate limit policy: ${name}`);
+
+  return async (req, res, next) => {
+    const { config, rateLimitStore, clock, logger } = req.app.locals;
+    if (!config.rateLimit.enabled) return next();
+
+    const policy = withOverride(name, config);
+    const keys = policy.keys(req).map(key => `${name}:${key}`);
+    let counters;
+    try {
+      counters = await Promise.all(keys.map(key => rateLimitStore.increment(key, policy.windowMs)));
+    } catch (err) {
+      logger.error(`Rate limit store failed, letting ${req.method} ${req.originalUrl} through:`, err);
+      return next();
+    }
+
+    const resetSeconds = setHeaders(res, policy, counters, clock.now());
+    if (counters.some(counter => counter.count > policy.limit)) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(new TooManyRequestsError("Too many requests, try again later", { policy: name, retryAfter: resetSeconds }));
+    }
+
+    if (policy.skipSuccessfulRequests) {
+      res.on("finish", bindContext(() => {
+        if (res.statusCode >= 400) return;
+        Promise.all(keys.map(key => rateLimitStore.decrement(key)))
+          .catch(err => logger.error("Rate limit store failed to release a request:", err));
+      }));
+    }
+    next();
+  };
+};
+
+const readLimit = rateLimit("read");
+const writeLimit = rateLimit("write");
+
+/**
+ * App-wide limit: the `read` policy for GET, HEAD and OPTIONS requests, `write` for the others.
+ */
+export const apiRateLimit = (req, res, next) =>
+  (["GET", "HEAD", "OPTIONS"].includes(req.method) ? readLimit : writeLimit)(req, res, next);
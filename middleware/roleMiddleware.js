@@ -0,0 +1,44 @@
+import { ROLES } from "../models/User";
+import { hasFault } from "./faultMiddleware";
+import { UnauthorizedError, ForbiddenError } from "../utils/errors";
+
+const [ADMIN, STAFF, READONLY] = ROLES;
+
+// Which roles are granted each permission
+export const PERMISSIONS = {
+  "clients:read": [ADMIN, STAFF, READONLY],
+  "clients:write": [ADMIN, STAFF],
+  "clients:delete": [ADMIN],
+  "orders:read": [ADMIN, STAFF, READONLY],
+  "orders:write": [ADMIN, STAFF],
+  "orders:fulfil": [ADMIN, STAFF],
+  "orders:cancel": [ADMIN, STAFF],
+  "orders:delete": [ADMIN],
+  "products:read": [ADMIN, STAFF, READONLY],
+  "products:write": [ADMIN, STAFF],
+  "products:delete": [ADMIN],
+  "users:manage": [ADMIN],
+  "faults:manage": [ADMIN],
+  "audit:read": [ADMIN],
+  "reports:read": [ADMIN, STAFF],
+  "webhooks:manage": [ADMIN],
+};
+
+export const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * Route-level guard, must be placed after authMiddleware so that `req.user` is set.
+ * Fails with a ForbiddenError (403) when the role carried in the token lacks the permission.
+ */
+export const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+
+  return (req, res, next) => {
+    if (!req.user && hasFault(req, "skip-auth")) return next();
+    if (!req.user) return next(new UnauthorizedError("Access denied. No token provided."));
+    if (!hasPermission(req.user.role, permission)) {
+      return next(new ForbiddenError("Forbidden. Insufficient permissions.", { requiredRoles: PERMISSIONS[permission] }));
+    }
+    next();
+  };
+};
@@ -0,0 +1,138 @@
+import { body, param, query, checkExact, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors";
+
+// One `{ field, location, message }` per failed field
+const errorDetails = (errors) => errors.array({ onlyFirstError: true }).flatMap(error => error.type === "unknown_fields"
+  ? error.fields.map(field => ({ field: field.path, location: field.location, message: `Unknown parameter: ${field.path}` }))
+  : [{ field: error.path, location: error.location, message: error.msg }]);
+
+/**
+ * Runs after express-validator chains and rejects the request with every failed field.
+ */
+export const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  next(new ValidationError("Validation failed", errorDetails(errors)));
+};
+
+const LOCATIONS = { body, params: param, query };
+
+// Drop undefined bounds, validator.js treats a present-but-undefined `min` as a failed check
+const bounds = (min, max) => Object.fromEntries(Object.entries({ min, max }).filter(([, value]) => value !== undefined));
+
+const rangeMessage = (label, kind, { min, max }) => {
+  if (min !== undefined && max !== undefined) return `${label} must be ${kind} between ${min} and ${max}`;
+  if (min !== undefined) return `${label} must be ${kind} of at least ${min}`;
+  if (max !== undefined) return `${label} must be ${kind} of at most ${max}`;
+  return `${label} must be ${kind}`;
+};
+
+// A repeated query parameter arrives as an array, and isInt, isFloat and isBoolean would check each of its entries
+const singleValue = (chain, label) => chain.custom(value => !Array.isArray(value)).withMessage(`${label} must be given once`);
+
+// Builds the chains for one field of a schema (see validation/schemas.js), nested fields included
+const fieldChains = (location, path, field) => {
+  const label = field.label || path.split(".").pop();
+  const fromBody = location === "body";
+  let chain = LOCATIONS[location](path);
+
+  if (field.default !== undefined) chain = chain.default(field.default);
+  else if (field.required) chain = chain.exists().withMessage(`${label} is required`);
+  else chain = chain.optional();
+
+  const nested = [];
+
+  switch (field.type) {
+    case "string": {
+      chain = chain.isString().withMessage(`${label} must be a string`);
+      if (field.trim) chain = chain.trim();
+      const length = bounds(field.minLength, field.maxLength);
+      if (Object.keys(length).length) {
+        chain = chain.isLength(length).withMessage(field.minLength === 1 && length.max === undefined
+          ? `${label} must not be empty`
+          : rangeMessage(label, "a string with a length", length));
+      }
+      if (field.format === "email") chain = chain.isEmail().withMessage(`${label} must be a valid email`);
+      if (field.format === "objectId") chain = chain.isMongoId().withMessage(`${label} must be a valid ObjectId`);
+      if (field.format === "url") {
+        chain = chain.isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false }).withMessage(`${label} must be an http or https URL`);
+      }
+      if (field.format === "date-time") {
+        chain = chain.isISO8601().withMessage(`${label} must be an ISO 8601 date`);
+        if (!fromBody) chain = chain.toDate();
+      }
+      break;
+    }
+    case "integer":
+    case "number": {
+      const kind = field.type === "integer" ? "an integer" : "a number";
+      const range = bounds(field.minimum, field.maximum);
+      // JSON bodies must send real numbers; query and path values are strings and get converted
+      if (fromBody) chain = chain.custom(value => typeof value === "number").withMessage(`${label} must be ${kind}`);
+      else chain = singleValue(chain, label);
+      chain = field.type === "integer" ? chain.isInt(range) : chain.isFloat(range);
+      chain = chain.withMessage(rangeMessage(label, kind, range));
+      if (!fromBody) chain = field.type === "integer" ? chain.toInt() : chain.toFloat();
+      break;
+    }
+    case "boolean":
+      chain = fromBody
+        ? chain.custom(value => typeof value === "boolean").withMessage(`${label} must be a boolean`)
+        : singleValue(chain, label).isBoolean({ loose: false }).withMessage(`${label} must be true or false`).toBoolean(true);
+      break;
+    case "array": {
+      // Query strings send lists as `a,b` or as a repeated parameter
+      if (!fromBody) chain = chain.customSanitizer(value => (Array.isArray(value) ? value : String(value).split(",")).map(entry => String(entry).trim()).filter(Boolean));
+      const size = bounds(field.minItems, undefined);
+      chain = chain.isArray(size).withMessage(field.minItems ? `${label} must be a non-empty array` : `${label} must be an array`);
+      if (field.items) nested.push(...fieldChains(location, `${path}.*`, { required: true, ...field.items }));
+      break;
+    }
+    case "object":
+      chain = chain.isObject().withMessage(`${label} must be an object`);
+      for (const [name, property] of Object.entries(field.properties || {})) {
+        nested.push(...fieldChains(location, `${path}.${name}`, property));
+      }
+      break;
+  }
+
+  if (field.enum) chain = chain.isIn(field.enum).withMessage(`${label} must be one of: ${field.enum.join(", ")}`);
+
+  return [chain, ...nested];
+};
+
+const SCHEMA_LOCATIONS = Object.keys(LOCATIONS);
+
+/**
+ * Validates and sanitizes `req.body`, `req.params` and `req.query` against a declarative schema
+ * such as `{ params: { id: {...} }, body: {...} }`. Failed fields are reported one by one in the
+ * `details` of a 400 `VALIDATION_ERROR`.
+ *
+ * With `exact: ["query"]` in the schema, parameters the schema does not list are rejected too.
+ */
+export const validate = (schema) => {
+  const chains = SCHEMA_LOCATIONS.filter(location => schema[location]).flatMap(location =>
+    Object.entries(schema[location]).flatMap(([name, field]) => fieldChains(location, name, field)));
+
+  // The chains run one after the other so that `items.*` sees the array sanitized by `items`.
+  // checkExact then compares the request against the fields those chains selected.
+  return schema.exact
+    ? [...chains, checkExact([], { locations: schema.exact }), checkValidation]
+    : [...chains, checkValidation];
+};
+
+/**
+ * Validates and sanitizes a single record that is not a request body, such as an imported row,
+ * against body fields like `BODIES.ClientInput`. Resolves to `{ value }` with the sanitized record,
+ * or to `{ error }`, the ValidationError `validate` would have raised.
+ */
+export const validateRecord = async (fields, record) => {
+  const req = { body: record };
+  for (const [name, field] of Object.entries(fields)) {
+    for (const chain of fieldChains("body", name, field)) await chain.run(req);
+  }
+
+  const errors = validationResult(req);
+  return errors.isEmpty() ? { value: req.body } : { error: new ValidationError("Validation failed", errorDetails(errors)) };
+};
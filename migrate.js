@@ -0,0 +1,33 @@
+const config = require("./config").default;
+const mongoose = require("mongoose");
+const { runMigrations } = require("./migrations");
+
+// Usage: npm run migrate -- [--product-stock=0]
+const args = Object.fromEntries(
+    process.argv.slice(2).map(arg => {
+        const [key, value = true] = arg.replace(/^--/, "").split("=");
+        return [key, value];
+    })
+);
+
+const productStock = args["product-stock"] === undefined ? 0 : Number(args["product-stock"]);
+if (!Number.isInteger(productStock) || productStock < 0) {
+    console.error("--product-stock must be a non-negative integer");
+    process.exit(1);
+}
+
+mongoose
+    .connect(config.mongoUri)
+    .then(async () => {
+        console.log("Running migrations...");
+
+        const results = await runMigrations({ productStock });
+        results.forEach(({ name, result }) => console.log(`  ${name}:`, result));
+
+        await mongoose.connection.close();
+    })
+    .catch(err => {
+        console.error("Migration Error:", err.message);
+        process.exitCode = 1;
+        mongoose.connection.close();
+    });
@@ -0,0 +1,53 @@
+import Order from "../models/Order";
+import Product from "../models/Product";
+import { roundPrice } from "../services/orderPricing";
+
+// Lines saved before orders snapshotted their products lack at least one of these
+const LEGACY_LINE = { $or: [{ productName: { $exists: false } }, { unitPrice: { $exists: false } }, { lineTotal: { $exists: false } }] };
+
+const DELETED_PRODUCT_NAME = "(deleted product)";
+
+/**
+ * Gives legacy order lines the productName, unitPrice and lineTotal that newer lines snapshot.
+ * The price at order time was not kept, so lines take the product's current price. When a single
+ * line's product no longer exists, its price is what is left of the stored totalPrice. The order
+ * total is then recomputed from the lines, as for any order.
+ *
+ * Writes go straight to the collection, so that the lines are complete before the validate hook
+ * of the Order model runs on them. Only legacy orders are touched: running it again is a no-op.
+ * Resolves to `{ orders, totalsChanged }`.
+ */
+export const backfillOrderSnapshots = async () => {
+    const summary = { orders: 0, totalsChanged: 0 };
+    const cursor = Order.collection.find({ items: { $elemMatch: LEGACY_LINE } });
+
+    for await (const order of cursor) {
+        const products = await Product.find({ _id: { $in: order.items.map(item => item.productId) } }).select("name price").lean();
+        const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+        const items = order.items.map((item) => {
+            const product = productsById.get(item.productId.toString());
+            const unitPrice = item.unitPrice !== undefined ? item.unitPrice : product ? product.price : null;
+            return {
+                ...item,
+                productName: item.productName || (product ? product.name : DELETED_PRODUCT_NAME),
+                unitPrice,
+                lineTotal: unitPrice === null ? null : roundPrice(unitPrice * item.quantity),
+            };
+        });
+
+        const unpriced = items.filter(item => item.unitPrice === null);
+        const pricedTotal = items.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+        for (const item of unpriced) {
+            const left = roundPrice((order.totalPrice || 0) - pricedTotal);
+            item.unitPrice = unpriced.length === 1 && left > 0 ? roundPrice(left / item.quantity) : 0;
+            item.lineTotal = roundPrice(item.unitPrice * item.quantity);
+        }
+
+        const totalPrice = roundPrice(items.reduce((sum, item) => sum + item.lineTotal, 0));
+        await Order.collection.updateOne({ _id: order._id }, { $set: { items, totalPrice } });
+        summary.orders++;
+        if (totalPrice !== roundPrice(order.totalPrice || 0)) summary.totalsChanged++;
+    }
+    return summary;
+};
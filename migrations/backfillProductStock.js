@@ -0,0 +1,12 @@
+import Product from "../models/Product";
+
+/**
+ * Gives products saved before stock was tracked a `stock` of `productStock` (0 by default, in
+ * which case they can't be ordered until restocked with PATCH /products/{id}/stock). Writes go
+ * straight to the collection; products that already have a stock are left alone, so running it
+ * again is a no-op. Resolves to `{ products }`, the number of products updated.
+ */
+export const backfillProductStock = async ({ productStock = 0 } = {}) => {
+    const { modifiedCount } = await Product.collection.updateMany({ stock: null }, { $set: { stock: productStock } });
+    return { products: modifiedCount };
+};
@@ -0,0 +1,20 @@
+import { backfillOrderSnapshots } from "./backfillOrderSnapshots";
+import { backfillProductStock } from "./backfillProductStock";
+
+/**
+ * Data migrations, oldest first. Each one only touches documents it has not migrated yet, so
+ * running them all again is safe.
+ */
+export const MIGRATIONS = [
+    { name: "backfill-order-snapshots", up: backfillOrderSnapshots },
+    { name: "backfill-product-stock", up: backfillProductStock },
+];
+
+// Runs every migration in order, passing each one `options`. Resolves to `[{ name, result }]`.
+export const runMigrations = async (options = {}) => {
+    const results = [];
+    for (const migration of MIGRATIONS) {
+        results.push({ name: migration.name, result: await migration.up(options) });
+    }
+    return results;
+};
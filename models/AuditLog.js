@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// Append-only trail of every change made through the API, see services/audit.js
+const AuditLogSchema = new mongoose.Schema({
+    // null when the change was not made by an authenticated user (e.g. registration)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    action: { type: String, required: true },
+    resource: { type: String, required: true },
+    resourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Fields that changed, with their value before and after the change
+    changes: [
+        {
+            _id: false,
+            field: { type: String, required: true },
+            before: { type: mongoose.Schema.Types.Mixed, default: null },
+            after: { type: mongoose.Schema.Types.Mixed, default: null }
+        }
+    ],
+    createdAt: { type: Date, default: currentDate }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+
+// Entries are never changed once written
+const reject = function (next) {
+    next(new Error("Audit log entries cannot be modified"));
+};
+AuditLogSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], reject);
+AuditLogSchema.pre("save", function (next) {
+    if (!this.isNew) return reject(next);
+    next();
+});
+
+module.exports = contextModel(mongoose.model("AuditLog", AuditLogSchema));
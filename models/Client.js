@@ -1,8 +1,14 @@
 const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
 
 const ClientSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
+    // Soft delete: deleted clients are hidden unless asked for, and can be restored
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 });
 
-module.exports = mongoose.model("Client", ClientSchema);
+ClientSchema.index({ deletedAt: 1 });
+
+module.exports = contextModel(mongoose.model("Client", ClientSchema));
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// First response to a request sent with an `Idempotency-Key` header, replayed on retries
+const IdempotencyKeySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    key: { type: String, required: true },
+    // sha256 of the method, path and body, a retry must match it
+    requestHash: { type: String, required: true },
+    state: { type: String, enum: ["processing", "completed"], default: "processing" },
+    statusCode: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed },
+    // Headers of the response that are replayed too, e.g. `{ ETag: "\"1\"" }`
+    headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdAt: { type: Date, default: currentDate },
+    // End of the processing lease, then of the stored response's TTL once completed
+    expiresAt: { type: Date, required: true }
+});
+
+// Keys are scoped to the user that sent them
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = contextModel(mongoose.model("IdempotencyKey", IdempotencyKeySchema));
@@ -1,20 +1,57 @@
 const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+const { roundPrice, sumLineTotals } = require("../services/orderPricing");
 
 const OrderSchema = new mongoose.Schema({
     clientId: { type: mongoose.Schema.Types.ObjectId, ref: "Client", required: true },
     items: [
         {
             productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
-            quantity: { type: Number, required: true, min: 1 }
+            // Snapshot of the product at order time, so later price changes don't alter the order
+            productName: { type: String, required: true },
+            unitPrice: { type: Number, required: true, min: 0 },
+            quantity: { type: Number, required: true, min: 1 },
+            lineTotal: { type: Number, required: true, min: 0 }
         }
     ],
+    // Always the sum of the line totals
     totalPrice: { type: Number, required: true },
     status: { 
         type: String, 
         enum: ["pending", "shipped", "delivered", "canceled"], 
         default: "pending" 
     },
-    createdAt: { type: Date, default: Date.now }
+    // Every status change, oldest first. The first entry (from: null) records the creation.
+    statusHistory: [
+        {
+            from: { type: String, default: null },
+            to: { type: String, required: true },
+            changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            changedAt: { type: Date, default: currentDate }
+        }
+    ],
+    createdAt: { type: Date, default: currentDate },
+    // Soft delete: deleted orders are hidden unless asked for, and can be restored
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+});
+
+OrderSchema.index({ clientId: 1, deletedAt: 1 });
+// Fields GET /orders can sort and filter on, see services/orderQuery.js
+OrderSchema.index({ createdAt: 1 });
+OrderSchema.index({ totalPrice: 1 });
+OrderSchema.index({ status: 1 });
+OrderSchema.index({ "items.productId": 1 });
+
+// Keep line totals and the order total consistent with the snapshotted prices.
+// Orders saved before the snapshots existed need `node migrate.js` first.
+OrderSchema.pre("validate", function (next) {
+    for (const item of this.items) {
+        item.lineTotal = roundPrice(item.unitPrice * item.quantity);
+    }
+    this.totalPrice = sumLineTotals(this.items);
+    next();
 });
 
-module.exports = mongoose.model("Order", OrderSchema);
+module.exports = contextModel(mongoose.model("Order", OrderSchema));
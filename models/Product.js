@@ -1,8 +1,11 @@
 const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
 
 const ProductSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    price: { type: Number, required: true }
+    price: { type: Number, required: true, min: 0 },
+    // Units available to order. Pending orders have already been subtracted.
+    stock: { type: Number, default: 0, min: 0 }
 });
 
-module.exports = mongoose.model("Product", ProductSchema);
+module.exports = contextModel(mongoose.model("Product", ProductSchema));
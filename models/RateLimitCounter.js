@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+
+// Fixed-window request counter of the Mongo rate limit store, see services/rateLimitStore.js
+const RateLimitCounterSchema = new mongoose.Schema({
+    // `<policy>:<ip:...|user:...|email:...>`
+    key: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true }
+});
+
+RateLimitCounterSchema.index({ key: 1 }, { unique: true });
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = contextModel(mongoose.model("RateLimitCounter", RateLimitCounterSchema));
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// Refresh tokens are stored hashed. Every token issued from the same login shares a `family`,
+// so that presenting an already rotated token can revoke the whole chain.
+const RefreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken", default: null },
+    createdAt: { type: Date, default: currentDate }
+});
+
+// Let MongoDB purge tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = contextModel(mongoose.model("RefreshToken", RefreshTokenSchema));
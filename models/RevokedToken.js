@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+
+// Denylist of access tokens (by `jti`) that were revoked before they expired
+const RevokedTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    expiresAt: { type: Date, required: true }
+});
+
+// Entries are only needed until the token would have expired anyway
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = contextModel(mongoose.model("RevokedToken", RevokedTokenSchema));
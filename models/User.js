@@ -1,10 +1,23 @@
 import { Schema, model } from "mongoose";
 import { genSalt, hash } from "bcryptjs";
+import { contextModel } from "./contextModel";
+
+// Ordered from most to least privileged
+export const ROLES = ["admin", "staff", "readonly"];
 
 const UserSchema = new Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: "readonly" },
+  // Embedded in access tokens; incrementing it invalidates every token issued before
+  tokenVersion: { type: Number, default: 0 },
+  // null until the address is verified. Users created before verification existed have no value and count as verified.
+  emailVerifiedAt: { type: Date },
+  // Consecutive failed logins; reaching MAX_FAILED_LOGINS locks the account until `lockedUntil`
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
 });
 
 // Hash password before saving
@@ -15,4 +28,4 @@ UserSchema.pre("save", async function (next) {
   next();
 });
 
-export default model("User", UserSchema);
+export default contextModel(model("User", UserSchema));
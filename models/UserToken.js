@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// Single-use tokens sent by email, stored hashed: `verify_email` confirms the address of a new
+// account, `reset_password` lets a user who forgot their password set a new one.
+const UserTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    purpose: { type: String, enum: ["verify_email", "reset_password"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: currentDate }
+});
+
+// Let MongoDB purge tokens once they have expired
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = contextModel(mongoose.model("UserToken", UserTokenSchema));
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// Subscription to outbound event notifications, see services/webhooks.js
+const WebhookSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    // Signs every delivery; only returned when the webhook is created
+    secret: { type: String, required: true },
+    events: { type: [String], required: true },
+    description: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: currentDate }
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+module.exports = contextModel(mongoose.model("Webhook", WebhookSchema));
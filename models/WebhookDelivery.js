@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { contextModel } = require("./contextModel");
+const { currentDate } = require("../utils/appContext");
+
+// One event sent to one webhook, with every attempt made to deliver it
+const WebhookDeliverySchema = new mongoose.Schema({
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    // pending until an attempt succeeds, failed once the retries are used up
+    status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+    attempts: [
+        {
+            _id: false,
+            at: { type: Date, required: true },
+            // null when no response was received (timeout, connection refused, ...)
+            statusCode: { type: Number, default: null },
+            error: { type: String, default: null },
+            durationMs: { type: Number, required: true },
+            // Sent through the redeliver endpoint rather than by the retry schedule
+            manual: { type: Boolean, default: false }
+        }
+    ],
+    // When the retry worker may pick the delivery up next; null once it is no longer pending
+    nextAttemptAt: { type: Date, default: null },
+    createdAt: { type: Date, default: currentDate }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = contextModel(mongoose.model("WebhookDelivery", WebhookDeliverySchema));
@@ -0,0 +1,35 @@
+const { appContext } = require("../utils/appContext");
+
+// Every model wrapped by contextModel; a connection gets all of them at once, so that populate finds the referenced ones
+const baseModels = [];
+
+const modelOn = (base, connection) => {
+    if (connection === base.db) return base;
+    if (!connection.models[base.modelName]) {
+        for (const model of baseModels) {
+            if (!connection.models[model.modelName]) connection.model(model.modelName, model.schema, model.collection.collectionName);
+        }
+    }
+    return connection.models[base.modelName];
+};
+
+/**
+ * Wraps a model compiled on mongoose's default connection so that it uses the connection of the
+ * current app context (see utils/appContext.js): in a request to an app created with its own
+ * `connection`, `Order.find()` queries that connection. Outside any app it is the model itself.
+ */
+const contextModel = (base) => {
+    baseModels.push(base);
+    const current = () => modelOn(base, appContext().connection);
+
+    return new Proxy(base, {
+        get(target, property) {
+            const model = current();
+            const value = Reflect.get(model, property);
+            return typeof value === "function" ? value.bind(model) : value;
+        },
+        construct: (target, args) => Reflect.construct(current(), args),
+    });
+};
+
+module.exports = { contextModel };
@@ -0,0 +1,121 @@
+import { Router } from "express";
+import AuditLog from "../models/AuditLog";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { validate } from "../middleware/validationMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { SCHEMAS } from "../validation/schemas";
+
+const router = Router();
+
+const formatEntry = entry => ({
+    id: entry._id.toString(),
+    actor: entry.actor ? { id: entry.actor._id.toString(), name: entry.actor.name, email: entry.actor.email } : null,
+    action: entry.action,
+    resource: entry.resource,
+    resourceId: entry.resourceId.toString(),
+    changes: entry.changes,
+    createdAt: entry.createdAt,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Append-only trail of every change made to clients, orders, products and users
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     description: "**Required role:** admin"
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of entries per page (default is 10)
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *         description: Only changes made by this user
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [client, order, product, user]
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, ship, deliver, cancel]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time
+ *     responses:
+ *       200:
+ *         description: Success. Each entry has the actor, action, resource and the `changes` as `[{ field, before, after }]`.
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authMiddleware, requirePermission("audit:read"), validate(SCHEMAS.listAudit), asyncHandler(async (req, res) => {
+    const { page, limit, actor, resource, resourceId, action, from, to } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (resource) query.resource = resource;
+    if (resourceId) query.resourceId = resourceId;
+    if (action) query.action = action;
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "name email")
+        .lean();
+
+    res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: entries.map(formatEntry) });
+}));
+
+export default router;
@@ -1,11 +1,35 @@
 import { Router } from "express";
 import { compare } from "bcryptjs";
-import { sign } from "jsonwebtoken";
-import { body, validationResult } from "express-validator";
-import User, { findOne } from "../models/User";
+import { body, param } from "express-validator";
+import User, { ROLES } from "../models/User";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { checkValidation } from "../middleware/validationMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { rateLimit } from "../middleware/rateLimitMiddleware";
+import { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError, LockedError } from "../utils/errors";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} from "../services/tokenService";
+import { recordAudit } from "../services/audit";
+import {
+  consumeUserToken,
+  changePassword,
+  isEmailVerificationRequired,
+  isEmailVerified,
+  isLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../services/accountService";
+import { currentDate } from "../utils/appContext";
 
 const router = Router();
-const SECRET_KEY = "your_secret_key"; // Replace with an env variable in production
 
 /**
  * @swagger
@@ -36,34 +60,49 @@ const SECRET_KEY = "your_secret_key"; // Replace with an env variable in product
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. A verification token is emailed to the user, who can't log in before using it.
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already in use (`EMAIL_IN_USE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
 router.post(
   "/register",
+  rateLimit("register"),
   [
     body("name").notEmpty().withMessage("Name is required"),
     body("email").isEmail().withMessage("Valid email is required"),
     body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
   ],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const { name, email, password } = req.body;
+    let user = await User.findOne({ email });
+    if (user) throw new ConflictError("Email already in use", undefined, "EMAIL_IN_USE");
 
-    try {
-      const { name, email, password } = req.body;
-      let user = await findOne({ email });
-      if (user) return res.status(400).json({ message: "Email already in use" });
+    user = new User({ name, email, password, emailVerifiedAt: null });
+    await user.save();
+    await recordAudit({ actor: user._id, action: "create", resource: "user", resourceId: user._id, after: user });
+    // The account exists either way; the user can ask for another email
+    await sendVerificationEmail(user).catch(err => req.app.locals.logger.error(`Failed to send the verification email to user ${user._id}:`, err));
 
-      user = new User({ name, email, password });
-      await user.save();
-
-      res.status(201).json({ message: "User registered successfully" });
-    } catch (err) {
-      res.status(500).json({ message: "Server error", error: err.message });
-    }
-  }
+    res.status(201).json({ message: "User registered successfully. Check your email to verify your address." });
+  })
 );
 
+const accountLocked = lockedUntil =>
+  new LockedError("Account locked after too many failed logins, try again later", { lockedUntil }, "ACCOUNT_LOCKED");
+
 /**
  * @swagger
  * /auth/login:
@@ -84,32 +123,527 @@ router.post(
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a 1 hour access token and a single-use refresh token.
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid credentials (`INVALID_CREDENTIALS`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email address not verified yet (`EMAIL_NOT_VERIFIED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account locked after too many failed logins (`ACCOUNT_LOCKED`). `details.lockedUntil` tells until when.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
 router.post(
   "/login",
+  rateLimit("login"),
   [
     body("email").isEmail().withMessage("Valid email is required"),
     body("password").notEmpty().withMessage("Password is required"),
   ],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
-    try {
-      const { email, password } = req.body;
-      const user = await findOne({ email });
-      if (!user) return res.status(400).json({ message: "Invalid credentials" });
-
-      const isMatch = await compare(password, user.password);
-      if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
-
-      const token = sign({ userId: user._id }, SECRET_KEY, { expiresIn: "1h" });
-      res.json({ token });
-    } catch (err) {
-      res.status(500).json({ message: "Server error", error: err.message });
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const user = await User.findOne({ email });
+    if (!user) throw new UnauthorizedError("Invalid credentials", "INVALID_CREDENTIALS");
+    if (isLocked(user)) throw accountLocked(user.lockedUntil);
+
+    const isMatch = await compare(password, user.password);
+    if (!isMatch) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) throw accountLocked(lockedUntil);
+      throw new UnauthorizedError("Invalid credentials", "INVALID_CREDENTIALS");
+    }
+    await recordSuccessfulLogin(user);
+
+    if (isEmailVerificationRequired() && !isEmailVerified(user)) {
+      throw new ForbiddenError("Verify your email address before logging in", undefined, "EMAIL_NOT_VERIFIED");
+    }
+
+    const { token, refreshToken } = await issueTokens(user);
+    res.json({ token, refreshToken, role: user.role });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Presenting a token that was already used revokes every token descended from the same login.
+ *     tags: [Auth]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token is invalid, expired or was reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/refresh",
+  rateLimit("auth"),
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (result.status === "reused") {
+      throw new UnauthorizedError("Refresh token reuse detected. All related sessions have been revoked.", "REFRESH_TOKEN_REUSED");
+    }
+    if (result.status !== "ok") throw new UnauthorizedError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+
+    res.json(result.tokens);
+  })
+);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     description: Revokes the access token used for this request and, when provided, the refresh token of the same session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  "/logout",
+  authMiddleware,
+  [body("refreshToken").optional().isString().withMessage("Refresh token must be a string")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    await revokeAccessToken(req.user);
+    if (req.body.refreshToken) await revokeRefreshToken(req.body.refreshToken, req.user.userId);
+
+    res.json({ message: "Logged out successfully" });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out all sessions of the current user
+ *     description: Invalidates every access and refresh token previously issued to the user.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/logout-all", authMiddleware, asyncHandler(async (req, res) => {
+  const user = await revokeAllSessions(req.user.userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  res.json({ message: "All sessions revoked" });
+}));
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify the email address of an account
+ *     description: Takes the token emailed on registration. Tokens are single-use and expire after 24 hours.
+ *     tags: [Auth]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Missing token (`VALIDATION_ERROR`), or a token that is unknown, expired or already used (`INVALID_VERIFICATION_TOKEN`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/verify-email",
+  rateLimit("auth"),
+  [body("token").isString().notEmpty().withMessage("Token is required")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const userId = await consumeUserToken(req.body.token, "verify_email");
+    const before = userId && await User.findById(userId);
+    if (!before) throw new ValidationError("Invalid or expired verification token", undefined, "INVALID_VERIFICATION_TOKEN");
+
+    if (!before.emailVerifiedAt) {
+      const user = await User.findByIdAndUpdate(userId, { emailVerifiedAt: currentDate() }, { new: true });
+      await recordAudit({ actor: user._id, action: "update", resource: "user", resourceId: user._id, before, after: user });
     }
-  }
+
+    res.json({ message: "Email address verified" });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     description: The previous verification token stops working. The response is the same whether or not the address belongs to an unverified account.
+ *     tags: [Auth]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: A verification email is sent if the account needs one
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/resend-verification",
+  rateLimit("email"),
+  [body("email").isEmail().withMessage("Valid email is required")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !isEmailVerified(user)) await sendVerificationEmail(user);
+
+    res.status(202).json({ message: "If the account exists and is not verified yet, a verification email has been sent" });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset token
+ *     description: The token is single-use and expires after an hour. The response is the same whether or not the address belongs to an account.
+ *     tags: [Auth]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: A reset email is sent if the account exists
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/forgot-password",
+  rateLimit("email"),
+  [body("email").isEmail().withMessage("Valid email is required")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) await sendPasswordResetEmail(user);
+
+    res.status(202).json({ message: "If the account exists, a password reset email has been sent" });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Logs the user out of every session and unlocks the account. Using the token also proves the email address, so an unverified account becomes verified.
+ *     tags: [Auth]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`), or a token that is unknown, expired or already used (`INVALID_RESET_TOKEN`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/reset-password",
+  rateLimit("auth"),
+  [
+    body("token").isString().notEmpty().withMessage("Token is required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  ],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const userId = await consumeUserToken(req.body.token, "reset_password");
+    const user = userId && await User.findById(userId);
+    if (!user) throw new ValidationError("Invalid or expired reset token", undefined, "INVALID_RESET_TOKEN");
+
+    const before = User.hydrate(user.toObject());
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = currentDate();
+    const after = await changePassword(user, req.body.password);
+    await recordAudit({ actor: user._id, action: "update", resource: "user", resourceId: user._id, before, after });
+
+    res.json({ message: "Password changed. Log in with the new password." });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the password of the current user
+ *     description: Logs the user out of every session, then returns a new token pair for this one.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed. Returns a new access token and refresh token.
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`) or wrong current password (`INVALID_CURRENT_PASSWORD`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+  "/change-password",
+  authMiddleware,
+  // After authMiddleware: failed attempts are counted per user as well as per IP
+  rateLimit("password"),
+  [
+    body("currentPassword").isString().notEmpty().withMessage("Current password is required"),
+    body("newPassword").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  ],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.userId);
+    if (!user) throw new NotFoundError("User not found");
+
+    const isMatch = await compare(req.body.currentPassword, user.password);
+    if (!isMatch) {
+      throw new ValidationError("Current password is incorrect", [{ field: "currentPassword", message: "Current password is incorrect" }], "INVALID_CURRENT_PASSWORD");
+    }
+
+    const before = User.hydrate(user.toObject());
+    const after = await changePassword(user, req.body.newPassword);
+    await recordAudit({ actor: user._id, action: "update", resource: "user", resourceId: user._id, before, after });
+
+    const { token, refreshToken } = await issueTokens(after);
+    res.json({ token, refreshToken, role: after.role });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/users/{id}/logout-all:
+ *   post:
+ *     summary: Log out all sessions of a user
+ *     description: "**Required role:** admin. Invalidates every access and refresh token previously issued to the user."
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/users/:id/logout-all",
+  authMiddleware,
+  requirePermission("users:manage"),
+  [param("id").isMongoId().withMessage("Invalid ID format")],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    const user = await revokeAllSessions(req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    res.json({ message: "All sessions revoked" });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/users/{id}/role:
+ *   patch:
+ *     summary: Change the role of a user
+ *     description: "**Required role:** admin. The user's access tokens stop working right away; a refresh issues new ones with the new role."
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, staff, readonly]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role or ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch(
+  "/users/:id/role",
+  authMiddleware,
+  requirePermission("users:manage"),
+  [
+    param("id").isMongoId().withMessage("Invalid ID format"),
+    body("role").isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  ],
+  checkValidation,
+  asyncHandler(async (req, res) => {
+    // Bumping the token version invalidates the access tokens carrying the old role
+    const previous = await User.findByIdAndUpdate(req.params.id, { role: req.body.role, $inc: { tokenVersion: 1 } }, { new: false });
+    if (!previous) throw new NotFoundError("User not found");
+
+    const user = User.hydrate({ ...previous.toObject(), role: req.body.role });
+    await recordAudit({ actor: req.user.userId, action: "update", resource: "user", resourceId: user._id, before: previous, after: user });
+
+    res.json({ id: user._id.toString(), name: user.name, email: user.email, role: user.role });
+  })
 );
 
 export default router;
@@ -1,7 +1,19 @@
 import { Router } from "express";
-import Order, { find, findOne, findOneAndUpdate, findOneAndDelete } from "../models/Order";
-import { findById } from "../models/Product";
+import Order from "../models/Order";
+import Client from "../models/Client";
 import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { validate } from "../middleware/validationMiddleware";
+import { idempotent } from "../middleware/idempotencyMiddleware";
+import { createOrder, updateOrderItems, deleteOrder } from "../services/orderService";
+import { withCurrentPrices } from "../services/orderPricing";
+import { DEFAULT_ORDER_SORT, buildOrderFilter, findOrderDetail, formatOrderDetail } from "../services/orderQuery";
+import { NotFoundError } from "../utils/errors";
+import { SCHEMAS } from "../validation/schemas";
+import { etag, expectedVersions, sendVersioned } from "../utils/etag";
+import { activeOnly } from "../utils/softDelete";
+import { emitEvent } from "../services/webhooks";
 
 const router = Router();
 
@@ -16,7 +28,8 @@ const router = Router();
  * @swagger
  * /clients/{clientId}/orders:
  *   get:
- *     summary: Get all orders for a specific client
+ *     summary: Get all orders for a specific client with pagination & filtering
+ *     description: "**Required role:** admin, staff, readonly"
  *     tags: [Client Orders]
  *     parameters:
  *       - in: path
@@ -24,103 +37,286 @@ const router = Router();
  *         required: true
  *         schema:
  *           type: string
+ *           format: ObjectId
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of orders per page (default is 10)
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, shipped, delivered, canceled]
+ *         description: Only orders in one of these statuses, e.g. `pending,shipped`
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Success
+ *         description: Success. Orders are sorted oldest first.
+ *       400:
+ *         description: Invalid client ID or query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Client not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get("/:clientId/orders", authMiddleware, async (req, res) => {
-  try {
-    const orders = await find({ clientId: req.params.clientId })
-      .populate("items.productId", "name price")
-      .select("-__v");
-    res.json(orders);
-  } catch (err) {
-    res.status(400).json({ message: "Error fetching client orders", error: err.message });
-  }
-});
+router.get("/:clientId/orders", authMiddleware, requirePermission("orders:read"), validate(SCHEMAS.listClientOrders), asyncHandler(async (req, res) => {
+  const { page, limit, status, includeDeleted } = req.query;
+
+  const clientExists = await Client.exists(activeOnly({ _id: req.params.clientId }, includeDeleted));
+  if (!clientExists) throw new NotFoundError("Client not found");
+
+  const query = buildOrderFilter({ clientId: req.params.clientId, status, includeDeleted });
+
+  const total = await Order.countDocuments(query);
+  const orders = await Order.find(query)
+    .sort(DEFAULT_ORDER_SORT)
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate("items.productId", "name price")
+    .select("-__v")
+    .lean();
+
+  orders.forEach(order => {
+    withCurrentPrices(order);
+    order.id = order._id;
+    delete order._id;
+  });
+
+  res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: orders });
+}));
 
 /**
  * @swagger
  * /clients/{clientId}/orders:
  *   post:
  *     summary: Create an order for a specific client
+ *     description: "**Required role:** admin, staff"
  *     tags: [Client Orders]
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderItemsInput'
+ *     responses:
+ *       201:
+ *         description: Order created successfully.
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`, `details` lists every invalid field), or unknown product (`INVALID_PRODUCT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Client not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough stock (`INSUFFICIENT_STOCK`, `details` lists every short line), or a request with the same Idempotency-Key is still running.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/:clientId/orders", authMiddleware, async (req, res) => {
-  try {
-    const { items } = req.body;
-    let totalPrice = 0;
-    for (let item of items) {
-      const product = await findById(item.productId);
-      if (!product) return res.status(400).json({ message: `Invalid product ID: ${item.productId}` });
-      totalPrice += product.price * item.quantity;
-    }
-    const newOrder = new Order({ clientId: req.params.clientId, items, totalPrice });
-    await newOrder.save();
-    res.status(201).json(newOrder);
-  } catch (err) {
-    res.status(400).json({ message: "Error creating order", error: err.message });
-  }
-});
+router.post("/:clientId/orders", authMiddleware, requirePermission("orders:write"), validate(SCHEMAS.createClientOrder), idempotent, asyncHandler(async (req, res) => {
+  const clientExists = await Client.exists(activeOnly({ _id: req.params.clientId }));
+  if (!clientExists) throw new NotFoundError("Client not found");
+
+  const newOrder = await createOrder({ clientId: req.params.clientId, items: req.body.items, userId: req.user.userId });
+  await emitEvent("order.created", newOrder);
+  res.set("ETag", etag(newOrder.__v));
+  res.status(201).json(newOrder);
+}));
 
 /**
  * @swagger
  * /clients/{clientId}/orders/{orderId}:
  *   get:
  *     summary: Get a specific order for a client
+ *     description: "**Required role:** admin, staff, readonly"
  *     tags: [Client Orders]
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: Success. The `ETag` header carries the order's version and a digest of the body, which also changes with the client or a product.
+ *       304:
+ *         description: Not modified, the `If-None-Match` ETag is current
+ *       400:
+ *         description: Invalid client or order ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/:clientId/orders/:orderId", authMiddleware, async (req, res) => {
-  try {
-    const order = await findOne({ _id: req.params.orderId, clientId: req.params.clientId })
-      .populate("items.productId", "name price")
-      .select("-__v");
-    if (!order) return res.status(404).json({ message: "Order not found" });
-    res.json(order);
-  } catch (err) {
-    res.status(400).json({ message: "Error fetching order", error: err.message });
-  }
-});
+router.get("/:clientId/orders/:orderId", authMiddleware, requirePermission("orders:read"), validate(SCHEMAS.getClientOrder), asyncHandler(async (req, res) => {
+  const order = await findOrderDetail(activeOnly({ _id: req.params.orderId, clientId: req.params.clientId }, req.query.includeDeleted));
+  if (!order) throw new NotFoundError("Order not found");
+
+  sendVersioned(req, res, order.__v, formatOrderDetail(order), { embedsOthers: true });
+}));
 
 /**
  * @swagger
  * /clients/{clientId}/orders/{orderId}:
  *   put:
  *     summary: Update an order for a client
+ *     description: "**Required role:** admin, staff"
  *     tags: [Client Orders]
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderItemsInput'
+ *     responses:
+ *       400:
+ *         description: Invalid IDs or items (`VALIDATION_ERROR`), or unknown product (`INVALID_PRODUCT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order is no longer pending, there is not enough stock for the new items, or a request with the same Idempotency-Key is still running.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put("/:clientId/orders/:orderId", authMiddleware, async (req, res) => {
-  try {
-    const { items } = req.body;
-    let totalPrice = 0;
-    for (let item of items) {
-      const product = await findById(item.productId);
-      if (!product) return res.status(400).json({ message: `Invalid product ID: ${item.productId}` });
-      totalPrice += product.price * item.quantity;
-    }
-    const order = await findOneAndUpdate({ _id: req.params.orderId, clientId: req.params.clientId }, { items, totalPrice }, { new: true });
-    if (!order) return res.status(404).json({ message: "Order not found" });
-    res.json(order);
-  } catch (err) {
-    res.status(400).json({ message: "Error updating order", error: err.message });
-  }
-});
+router.put("/:clientId/orders/:orderId", authMiddleware, requirePermission("orders:write"), validate(SCHEMAS.updateClientOrder), idempotent, asyncHandler(async (req, res) => {
+  const versions = expectedVersions(req);
+  const order = await updateOrderItems({ _id: req.params.orderId, clientId: req.params.clientId }, req.body.items, { versions, userId: req.user.userId });
+  await emitEvent("order.updated", order);
+  res.set("ETag", etag(order.__v));
+  res.json(order);
+}));
 
 /**
  * @swagger
  * /clients/{clientId}/orders/{orderId}:
  *   delete:
- *     summary: Delete an order for a client
+ *     summary: Soft delete an order for a client
+ *     description: "**Required role:** admin. The order can be restored with POST /orders/{id}/restore."
  *     tags: [Client Orders]
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       400:
+ *         description: Invalid client or order ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete("/:clientId/orders/:orderId", authMiddleware, async (req, res) => {
-  try {
-    const order = await findOneAndDelete({ _id: req.params.orderId, clientId: req.params.clientId });
-    if (!order) return res.status(404).json({ message: "Order not found" });
-    res.json({ message: "Order deleted successfully" });
-  } catch (err) {
-    res.status(400).json({ message: "Error deleting order", error: err.message });
-  }
-});
+router.delete("/:clientId/orders/:orderId", authMiddleware, requirePermission("orders:delete"), validate(SCHEMAS.deleteClientOrder), asyncHandler(async (req, res) => {
+  const order = await deleteOrder({ _id: req.params.orderId, clientId: req.params.clientId }, { userId: req.user.userId });
+  await emitEvent("order.deleted", order);
+  res.json({ message: "Order deleted successfully" });
+}));
 
 export default router;
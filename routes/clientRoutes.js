@@ -1,7 +1,39 @@
 const express = require("express");
 const Client = require("../models/Client");
 const router = express.Router();
-const authMiddleware = require("../middleware/authMiddleware");
+const authMiddleware = require("../middleware/authMiddleware").default;
+const { requirePermission } = require("../middleware/roleMiddleware");
+const { injectFaults, hasFault } = require("../middleware/faultMiddleware");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validate } = require("../middleware/validationMiddleware");
+const { SCHEMAS } = require("../validation/schemas");
+const { NotFoundError } = require("../utils/errors");
+const { escapeRegExp } = require("../utils/strings");
+const { etag, expectedVersions, preconditionFailed, sendVersioned } = require("../utils/etag");
+const { recordAudit } = require("../services/audit");
+const { deleteClient, restoreClient } = require("../services/clientService");
+const { emitEvent } = require("../services/webhooks");
+const { activeOnly } = require("../utils/softDelete");
+const { findPage } = require("../utils/pagination");
+const {
+    readImportBody,
+    parseImport,
+    importClients,
+    CLIENT_EXPORT_COLUMNS,
+    clientExportRecord,
+    streamExport,
+} = require("../services/importExport");
+
+// Creation order; ObjectIds grow with their creation time
+const CLIENT_SORT = { _id: 1 };
+
+const formatClient = client => ({
+    id: client._id.toString(),
+    name: client.name,
+    email: client.email,
+    // Only soft deleted clients, returned with includeDeleted, carry the deletion
+    ...(client.deletedAt && { deletedAt: client.deletedAt, deletedBy: client.deletedBy })
+});
 
 /**
  * @swagger
@@ -14,19 +46,25 @@ const authMiddleware = require("../middleware/authMiddleware");
  * @swagger
  * /clients:
  *   get:
- *     summary: Get all clients with pagination and filtering
+ *     summary: Get all clients with offset or cursor pagination and filtering
+ *     description: "**Required role:** admin, staff, readonly. Clients are listed in creation order."
  *     tags: [Clients]
  *     parameters:
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number (default is 1)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *         description: Number of clients per page (default is 10)
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Count'
  *       - in: query
  *         name: name
  *         schema:
@@ -37,51 +75,147 @@ const authMiddleware = require("../middleware/authMiddleware");
  *         schema:
  *           type: string
  *         description: Filter by client email (case-insensitive)
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Success
+ *         description: "Success. With `page`: `{ total, page, limit, totalPages, data }`. With `cursor`: `{ limit, nextCursor, prevCursor, data }`, plus `total` when `count=true`. `total` and `totalPages` are left out with `count=false`."
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`) or a malformed cursor (`INVALID_CURSOR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/", authMiddleware, async (req, res) => {
-    try {
-        let { page = 1, limit = 10, name, email } = req.query;
-
-        page = parseInt(page);
-        limit = parseInt(limit);
-
-        let query = {};
-        if (name) query.name = new RegExp(name, "i");
-        if (email) query.email = new RegExp(email, "i");
-
-        const total = await Client.countDocuments(query);
-        const clients = await Client.find(query)
-            .skip((page - 1) * limit)
-            .limit(limit)
-            .select("-__v"); // ✅ Only exclude `__v`, keep `_id`
-
-        const formattedClients = clients.map(client => ({
-            id: client._id.toString(),
-            name: client.name,
-            email: client.email
-        }));
-
-        res.json({
-            total,
-            page,
-            limit,
-            totalPages: Math.ceil(total / limit),
-            data: formattedClients,
-        });
-    } catch (err) {
-        console.error("Error fetching clients:", err);
-        res.status(500).json({ message: "Error fetching clients", error: err.message });
+router.get("/", injectFaults("GET /clients"), authMiddleware, requirePermission("clients:read"), validate(SCHEMAS.listClients), asyncHandler(async (req, res) => {
+    const { page, limit, cursor, count, name, email, includeDeleted } = req.query;
+
+    let query = activeOnly({}, includeDeleted);
+    if (name) query.name = new RegExp(escapeRegExp(name), "i");
+    if (email) query.email = new RegExp(escapeRegExp(email), "i");
+
+    const find = filter => Client.find(filter).select("-__v"); // ✅ Only exclude `__v`, keep `_id`
+
+    if (cursor !== undefined) {
+        const { data, nextCursor, prevCursor } = await findPage(find, { filter: query, sort: CLIENT_SORT, limit, cursor });
+        const total = count ? await Client.countDocuments(query) : undefined;
+        return res.json({ limit, nextCursor, prevCursor, ...(total !== undefined && { total }), data: data.map(formatClient) });
     }
-});
+
+    const offset = (page - 1) * limit - (hasFault(req, "off-by-one-pagination") ? 1 : 0);
+    const clients = await find(query).sort(CLIENT_SORT).skip(Math.max(offset, 0)).limit(limit);
+    if (count === false) return res.json({ page, limit, data: clients.map(formatClient) });
+
+    const total = await Client.countDocuments(query);
+    res.json({
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        data: clients.map(formatClient),
+    });
+}));
+
+/**
+ * @swagger
+ * /clients/export:
+ *   get:
+ *     summary: Export all clients as CSV or NDJSON
+ *     description: "**Required role:** admin, staff, readonly. The file is streamed in creation order, with the columns `id`, `name` and `email`."
+ *     tags: [Clients]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         description: The clients, as a `text/csv` or `application/x-ndjson` attachment
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/export", authMiddleware, requirePermission("clients:read"), validate(SCHEMAS.exportClients), asyncHandler(async (req, res) => {
+    const { format, includeDeleted } = req.query;
+    const cursor = Client.find(activeOnly({}, includeDeleted)).sort(CLIENT_SORT).lean().cursor();
+    await streamExport(res, cursor, { format, filename: "clients", columns: CLIENT_EXPORT_COLUMNS, toRecord: clientExportRecord });
+}));
+
+/**
+ * @swagger
+ * /clients/import:
+ *   post:
+ *     summary: Create clients from a CSV or NDJSON upload
+ *     description: "**Required role:** admin, staff. Each record needs a `name` and an `email`, other columns are ignored, so an export can be imported again. Records whose email is already taken are skipped. The response reports what happened to every line."
+ *     tags: [Clients]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without creating anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "name,email\nJohn Doe,john.doe@example.com\n"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"name\":\"John Doe\",\"email\":\"john.doe@example.com\"}\n"
+ *     responses:
+ *       200:
+ *         description: "`{ dryRun, total, created, skipped, failed, rows }`, with one `{ line, status, id?, reason?, error? }` per record. `status` is `created`, `skipped` or `failed`, and `error` uses the error envelope's `code`, `message` and `details`."
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`) or a CSV that can't be read (`INVALID_CSV`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The upload is larger than `IMPORT_MAX_SIZE` (`PAYLOAD_TOO_LARGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       415:
+ *         description: The upload is neither `text/csv` nor `application/x-ndjson` (`UNSUPPORTED_MEDIA_TYPE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/import", authMiddleware, requirePermission("clients:write"), readImportBody, validate(SCHEMAS.importClients), asyncHandler(async (req, res) => {
+    const report = await importClients(parseImport(req), { userId: req.user.userId, dryRun: req.query.dryRun });
+    res.json(report);
+}));
 
 /**
  * @swagger
  * /clients/{id}:
  *   get:
  *     summary: Get a client by ID
+ *     description: "**Required role:** admin, staff, readonly"
  *     tags: [Clients]
  *     parameters:
  *       - in: path
@@ -90,160 +224,248 @@ router.get("/", authMiddleware, async (req, res) => {
  *         schema:
  *           type: string
  *           format: ObjectId
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
- *         description: Success
+ *         description: Success. The `ETag` header carries the client's version.
+ *       304:
+ *         description: Not modified, the `If-None-Match` ETag is current
  *       404:
  *         description: Client not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Invalid ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/:id", authMiddleware, async (req, res) => {
-    try {
-        const client = await Client.findById(req.params.id).select("-__v");
-        if (!client) return res.status(404).json({ message: "Client not found" });
-
-        res.json({
-            id: client._id.toString(),
-            name: client.name,
-            email: client.email
-        });
-    } catch (err) {
-        res.status(400).json({ message: "Invalid ID format" });
-    }
-});
+router.get("/:id", injectFaults("GET /clients/:id"), authMiddleware, requirePermission("clients:read"), validate(SCHEMAS.getClient), asyncHandler(async (req, res) => {
+    const client = await Client.findOne(activeOnly({ _id: req.params.id }, req.query.includeDeleted));
+    if (!client) throw new NotFoundError("Client not found");
+
+    sendVersioned(req, res, client.__v, formatClient(client));
+}));
 
 /**
  * @swagger
  * /clients:
  *   post:
  *     summary: Create a new client
+ *     description: "**Required role:** admin, staff"
  *     tags: [Clients]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: The name of the client.
- *                 example: John Doe
- *               email:
- *                 type: string
- *                 description: The email of the client.
- *                 example: john.doe@example.com
+ *             $ref: '#/components/schemas/ClientInput'
  *     responses:
  *       201:
  *         description: Client created successfully.
  *       400:
- *         description: Bad request. Invalid input data.
+ *         description: Invalid input data. `details` lists every invalid field (`VALIDATION_ERROR`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A client with this email already exists (`DUPLICATE_KEY`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/", authMiddleware, async (req, res) => {
-    try {
-        const { name, email } = req.body;
-
-        if (!name || !email) {
-            return res.status(400).json({ message: "Name and email are required" });
-        }
-
-        const newClient = new Client({ name, email });
-        await newClient.save();
-
-        res.status(201).json({
-            id: newClient._id.toString(),
-            name: newClient.name,
-            email: newClient.email
-        });
-    } catch (err) {
-        res.status(400).json({ message: "Error creating client" });
-    }
-});
+router.post("/", injectFaults("POST /clients"), authMiddleware, requirePermission("clients:write"), validate(SCHEMAS.createClient), asyncHandler(async (req, res) => {
+    const { name, email } = req.body;
+    const newClient = new Client({ name, email });
+    await newClient.save();
+    await recordAudit({ actor: req.user.userId, action: "create", resource: "client", resourceId: newClient._id, after: newClient });
+    await emitEvent("client.created", formatClient(newClient));
+
+    res.set("ETag", etag(newClient.__v));
+    res.status(201).json(formatClient(newClient));
+}));
 
 /**
  * @swagger
  * /clients/{id}:
  *   put:
- *     summary: Update an existing client by ID
+ *     summary: Replace an existing client by ID
+ *     description: "**Required role:** admin, staff. Both `name` and `email` are required."
  *     tags: [Clients]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: ObjectId
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Updated name of the client.
- *               email:
- *                 type: string
- *                 description: Updated email of the client.
+ *             $ref: '#/components/schemas/ClientInput'
  *     responses:
  *       200:
- *         description: Client updated successfully.
+ *         description: Client updated successfully. The `ETag` header carries the new version.
  *       400:
- *         description: Bad request.
+ *         description: Invalid ID or input data. `details` lists every invalid field (`VALIDATION_ERROR`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Client not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A client with this email already exists (`DUPLICATE_KEY`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put("/:id", authMiddleware, async (req, res) => {
-    try {
-        const { name, email } = req.body;
-        const updatedClient = await Client.findByIdAndUpdate(req.params.id, { name, email }, { new: true });
-
-        if (!updatedClient) {
-            return res.status(404).json({ message: "Client not found" });
-        }
-
-        res.json({
-            id: updatedClient._id.toString(),
-            name: updatedClient.name,
-            email: updatedClient.email
-        });
-    } catch (err) {
-        res.status(400).json({ message: "Invalid ID format" });
+router.put("/:id", authMiddleware, requirePermission("clients:write"), validate(SCHEMAS.replaceClient), asyncHandler(async (req, res) => {
+    const { name, email } = req.body;
+    const versions = expectedVersions(req);
+
+    const filter = activeOnly({ _id: req.params.id });
+    if (versions) filter.__v = { $in: versions };
+    // Returns the client as it was before the update, for the audit log
+    const previous = await Client.findOneAndUpdate(filter, { name, email, $inc: { __v: 1 } }, { new: false, runValidators: true });
+
+    if (!previous) {
+        const current = await Client.findOne(activeOnly({ _id: req.params.id })).select("__v");
+        if (!current) throw new NotFoundError("Client not found");
+        throw preconditionFailed(current.__v);
     }
-});
+
+    const updatedClient = Client.hydrate({ ...previous.toObject(), name, email, __v: previous.__v + 1 });
+    await recordAudit({ actor: req.user.userId, action: "update", resource: "client", resourceId: previous._id, before: previous, after: updatedClient });
+    await emitEvent("client.updated", formatClient(updatedClient));
+
+    res.set("ETag", etag(updatedClient.__v));
+    res.json(formatClient(updatedClient));
+}));
 
 /**
  * @swagger
  * /clients/{id}:
  *   delete:
- *     summary: Delete a client by ID
+ *     summary: Soft delete a client by ID
+ *     description: "**Required role:** admin. Sets `deletedAt`/`deletedBy`; the client can be restored. What happens to its orders depends on `CLIENT_DELETE_ORDER_POLICY`: `block` (default) refuses while the client has orders, `cascade` soft deletes them too, `orphan` leaves them."
  *     tags: [Clients]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: ObjectId
+ *           type: string
+ *           format: ObjectId
  *     responses:
  *       200:
  *         description: Client deleted successfully.
+ *       400:
+ *         description: Invalid ID format (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Client not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The client still has orders and the policy is `block` (`CLIENT_HAS_ORDERS`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-    try {
-        const deletedClient = await Client.findByIdAndDelete(req.params.id);
-        if (!deletedClient) {
-            return res.status(404).json({ message: "Client not found" });
-        }
-
-        res.json({ message: "Client deleted successfully" });
-    } catch (err) {
-        res.status(400).json({ message: "Invalid ID format" });
-    }
-});
+router.delete("/:id", authMiddleware, requirePermission("clients:delete"), validate(SCHEMAS.deleteClient), asyncHandler(async (req, res) => {
+    const client = await deleteClient(req.params.id, { userId: req.user.userId });
+    await emitEvent("client.deleted", formatClient(client));
+    res.json({ message: "Client deleted successfully" });
+}));
+
+/**
+ * @swagger
+ * /clients/{id}/restore:
+ *   post:
+ *     summary: Restore a soft deleted client
+ *     description: "**Required role:** admin. Orders deleted with the client are not restored, use POST /orders/{id}/restore."
+ *     tags: [Clients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Client restored successfully.
+ *       400:
+ *         description: Invalid ID format (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No deleted client with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/:id/restore", authMiddleware, requirePermission("clients:delete"), validate(SCHEMAS.restoreClient), asyncHandler(async (req, res) => {
+    const client = await restoreClient(req.params.id, { userId: req.user.userId });
+
+    res.set("ETag", etag(client.__v));
+    res.json(formatClient(client));
+}));
 
 module.exports = router;
@@ -0,0 +1,127 @@
+import { Router } from "express";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { ValidationError, NotFoundError } from "../utils/errors";
+import { isKnownFault, listFaults, setFaultEnabled, resetFaults, disableAllFaults } from "../services/faultInjection";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Faults
+ *   description: Switch the deliberate defects used to exercise functional test suites on and off. Not available in production.
+ */
+
+/**
+ * @swagger
+ * /faults:
+ *   get:
+ *     summary: List every fault in the manifest and whether it is enabled
+ *     description: "**Required role:** admin"
+ *     tags: [Faults]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authMiddleware, requirePermission("faults:manage"), (req, res) => {
+    res.json(listFaults());
+});
+
+/**
+ * @swagger
+ * /faults/{name}:
+ *   patch:
+ *     summary: Enable or disable a fault
+ *     description: "**Required role:** admin"
+ *     tags: [Faults]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: orders.list.skip-auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Fault updated
+ *       400:
+ *         description: enabled must be a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Unknown fault
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch("/:name", authMiddleware, requirePermission("faults:manage"), (req, res) => {
+    const { enabled } = req.body;
+    if (typeof enabled !== "boolean") throw new ValidationError("enabled must be a boolean", [{ field: "enabled", message: "Must be a boolean" }]);
+    if (!isKnownFault(req.params.name)) throw new NotFoundError("Fault not found");
+
+    setFaultEnabled(req.params.name, enabled);
+    res.json(listFaults().find(fault => fault.name === req.params.name));
+});
+
+/**
+ * @swagger
+ * /faults/reset:
+ *   post:
+ *     summary: Restore the faults enabled by the FAULTS environment variable
+ *     description: "**Required role:** admin"
+ *     tags: [Faults]
+ *     responses:
+ *       200:
+ *         description: Faults reset
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/reset", authMiddleware, requirePermission("faults:manage"), (req, res) => {
+    resetFaults();
+    res.json(listFaults());
+});
+
+/**
+ * @swagger
+ * /faults:
+ *   delete:
+ *     summary: Disable every fault
+ *     description: "**Required role:** admin"
+ *     tags: [Faults]
+ *     responses:
+ *       200:
+ *         description: All faults disabled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete("/", authMiddleware, requirePermission("faults:manage"), (req, res) => {
+    disableAllFaults();
+    res.json(listFaults());
+});
+
+export default router;
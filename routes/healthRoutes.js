@@ -0,0 +1,73 @@
+import { Router } from "express";
+import { asyncHandler } from "../middleware/errorHandler";
+import { liveness, readiness } from "../services/health";
+
+const router = Router();
+
+// Probes are polled often: never cached
+router.use((req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    next();
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Liveness and readiness probes for orchestrators, load balancers and test harnesses. Not rate limited.
+ */
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers 200 as long as the process handles requests, whatever the state of the database.
+ *     tags: [Health]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [ok]
+ *                 build:
+ *                   $ref: '#/components/schemas/BuildInfo'
+ */
+router.get("/live", (req, res) => {
+    res.json(liveness(req.app));
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Answers 200 once the database is connected and answers a ping, and 503 while it doesn't or once shutdown has started. Test harnesses can poll it to know when the API is ready.
+ *     tags: [Health]
+ *     security: []  # 👈 Overrides global security (public endpoint)
+ *     responses:
+ *       200:
+ *         description: Ready to serve requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Not ready. `checks.database.error` or `reason` says why.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get("/ready", asyncHandler(async (req, res) => {
+    const { ready, body } = await readiness(req.app);
+    res.status(ready ? 200 : 503).json(body);
+}));
+
+export default router;
@@ -1,8 +1,40 @@
 import { Router } from "express";
-import Order, { countDocuments, find, findById, findByIdAndUpdate, findByIdAndDelete } from "../models/Order";
-import { findById as _findById } from "../models/Client";
-import { findById as __findById } from "../models/Product";
+import Order from "../models/Order";
+import Client from "../models/Client";
 import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { injectFaults, hasFault } from "../middleware/faultMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { validate } from "../middleware/validationMiddleware";
+import { idempotent } from "../middleware/idempotencyMiddleware";
+import { transitionOrder } from "../services/orderStatus";
+import { createOrder, updateOrderItems, deleteOrder, restoreOrder } from "../services/orderService";
+import { ValidationError, NotFoundError } from "../utils/errors";
+import { SCHEMAS } from "../validation/schemas";
+import { etag, expectedVersions, sendVersioned } from "../utils/etag";
+import { activeOnly } from "../utils/softDelete";
+import { findPage } from "../utils/pagination";
+import { emitEvent } from "../services/webhooks";
+import {
+    readImportBody,
+    parseImport,
+    orderFromCsv,
+    importOrders,
+    ORDER_EXPORT_COLUMNS,
+    orderExportRecord,
+    orderCsvRecord,
+    streamExport,
+} from "../services/importExport";
+import {
+    ORDER_EXPANSIONS,
+    DEFAULT_ORDER_SORT,
+    buildOrderFilter,
+    buildOrderSort,
+    buildOrderProjection,
+    formatListedOrder,
+    findOrderDetail,
+    formatOrderDetail,
+} from "../services/orderQuery";
 
 const router = Router();
 
@@ -18,70 +50,275 @@ const router = Router();
  * @swagger
  * /orders:
  *   get:
- *     summary: Get all orders with pagination & filtering
+ *     summary: Get all orders with offset or cursor pagination, filtering, sorting and sparse fieldsets
+ *     description: "**Required role:** admin, staff, readonly. Unknown query parameters are rejected with a 400."
  *     tags: [Orders]
  *     parameters:
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number (default is 1)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *         description: Number of orders per page (default is 10)
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Count'
  *       - in: query
  *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, shipped, delivered, canceled]
+ *         description: Only orders in one of these statuses, e.g. `pending,shipped`
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *         description: Only orders of this client
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *         description: Only orders with a line for this product
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only orders with a `totalPrice` greater than or equal to this value
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only orders with a `totalPrice` less than or equal to this value
+ *       - in: query
+ *         name: createdFrom
  *         schema:
  *           type: string
- *           enum: [pending, shipped, delivered, canceled]
- *         description: Filter orders by status
+ *           format: date-time
+ *         description: Only orders created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders created at or before this time
+ *       - in: query
+ *         name: sort
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [createdAt, -createdAt, totalPrice, -totalPrice, status, -status, clientId, -clientId]
+ *         description: Sort fields, prefix with `-` for descending order, e.g. `-totalPrice,createdAt`. Ties are broken by ID.
+ *       - in: query
+ *         name: fields
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [id, client, items, totalPrice, status, statusHistory, createdAt, deletedAt, deletedBy]
+ *         description: Only return these fields (`id` is always returned), e.g. `status,totalPrice`
+ *       - in: query
+ *         name: expand
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [client, products]
+ *         description: Relations to populate (default is both). Send `expand=` to return only the IDs as `clientId` and `items[].productId`.
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Success
+ *         description: "Success. With `page`: `{ total, page, limit, totalPages, data }`. With `cursor`: `{ limit, nextCursor, prevCursor, data }`, plus `total` when `count=true`. `total` and `totalPages` are left out with `count=false`."
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`, `details` lists each one), or a cursor that is malformed or was issued for another sort (`INVALID_CURSOR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/", async (req, res) => { // 👈 I didn't add the authentication for this endpoint, to be found as an example of auth bug in the functional tests
-    try {
-        let { page = 1, limit = 10, status } = req.query;
-        page = parseInt(page);
-        limit = parseInt(limit);
+router.get("/", injectFaults("GET /orders"), authMiddleware, requirePermission("orders:read"), validate(SCHEMAS.listOrders), asyncHandler(async (req, res) => {
+    const { page, limit, cursor, count, minTotal, maxTotal, createdFrom, createdTo, sort, fields, expand = ORDER_EXPANSIONS } = req.query;
 
-        let query = {};
-        if (status) query.status = status;
+    const rangeErrors = [];
+    if (minTotal !== undefined && maxTotal !== undefined && minTotal > maxTotal) {
+        rangeErrors.push({ field: "minTotal", location: "query", message: "minTotal must not be greater than maxTotal" });
+    }
+    if (createdFrom && createdTo && createdFrom > createdTo) {
+        rangeErrors.push({ field: "createdFrom", location: "query", message: "createdFrom must not be after createdTo" });
+    }
+    if (rangeErrors.length) throw new ValidationError("Validation failed", rangeErrors);
 
-        const total = await countDocuments(query);
-        const orders = await find(query)
-            .skip((page - 1) * limit)
-            .limit(limit)
-            .populate("clientId", "name email")
-            .populate("items.productId", "name price")
-            .select("-__v")
-            .lean();
+    const query = buildOrderFilter(req.query);
+    const sortSpec = buildOrderSort(sort);
+    const find = (filter) => Order.find(filter).select(buildOrderProjection(fields, Object.keys(sortSpec))).lean();
+    // Populated once the page is read, so that cursors are built from the stored IDs even when a client is missing
+    const populate = (orders) => {
+        const paths = [];
+        if (expand.includes("client")) paths.push({ path: "clientId", select: "name email deletedAt", options: { lean: true } });
+        if (expand.includes("products")) paths.push({ path: "items.productId", select: "name price", options: { lean: true } });
+        return paths.length ? Order.populate(orders, paths) : orders;
+    };
+    const format = order => formatListedOrder(order, expand, fields);
 
-        orders.forEach(order => {
-            order.id = order._id;
-            order.client = order.clientId;
-            if (order.client) {
-                order.client.id = order.client._id;
-                delete order.client._id;
-            }
-            delete order.clientId;
-        });
-        orders.forEach(order => delete order._id);
+    if (cursor !== undefined) {
+        const { data, nextCursor, prevCursor } = await findPage(find, { filter: query, sort: sortSpec, limit, cursor, populate });
+        const total = count ? await Order.countDocuments(query) : undefined;
+        return res.json({ limit, nextCursor, prevCursor, ...(total !== undefined && { total }), data: data.map(format) });
+    }
 
+    const offset = (page - 1) * limit - (hasFault(req, "off-by-one-pagination") ? 1 : 0);
+    const orders = await populate(await find(query).sort(sortSpec).skip(Math.max(offset, 0)).limit(limit));
+    if (count === false) return res.json({ page, limit, data: orders.map(format) });
 
-        res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: orders });
-    } catch (err) {
-        res.status(500).json({ message: "Error fetching orders", error: err.message });
-    }
-});
+    const total = await Order.countDocuments(query);
+    res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: orders.map(format) });
+}));
+
+/**
+ * @swagger
+ * /orders/export:
+ *   get:
+ *     summary: Export orders as CSV or NDJSON
+ *     description: "**Required role:** admin, staff, readonly. The file is streamed oldest first. NDJSON records have the order lines in `items`; CSV has one line per order with the columns `id`, `clientId`, `status`, `totalPrice`, `createdAt` and `items`, where `items` lists `productId:quantity` pairs separated by `;`."
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, shipped, delivered, canceled]
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         description: The orders, as a `text/csv` or `application/x-ndjson` attachment
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/export", authMiddleware, requirePermission("orders:read"), validate(SCHEMAS.exportOrders), asyncHandler(async (req, res) => {
+    const { format } = req.query;
+    const cursor = Order.find(buildOrderFilter(req.query)).sort(DEFAULT_ORDER_SORT).lean().cursor();
+    await streamExport(res, cursor, { format, filename: "orders", columns: ORDER_EXPORT_COLUMNS, toRecord: orderExportRecord, toCsvRecord: orderCsvRecord });
+}));
+
+/**
+ * @swagger
+ * /orders/import:
+ *   post:
+ *     summary: Create orders from a CSV or NDJSON upload
+ *     description: "**Required role:** admin, staff. Each record needs a `clientId` and `items`, in CSV as `productId:quantity` pairs separated by `;`. Other columns are ignored, so an export can be imported again. Every record becomes a new pending order, with prices snapshotted and stock reserved as in POST /orders. A dry run doesn't check stock. The response reports what happened to every line."
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without creating anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "clientId,items\n60d5ec49f1b2c72d88f8e8b5,60d5ec49f1b2c72d88f8e8b6:2;60d5ec49f1b2c72d88f8e8b7:1\n"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"clientId\":\"60d5ec49f1b2c72d88f8e8b5\",\"items\":[{\"productId\":\"60d5ec49f1b2c72d88f8e8b6\",\"quantity\":2}]}\n"
+ *     responses:
+ *       200:
+ *         description: "The same report as POST /clients/import. No line is skipped: unknown clients or products and missing stock fail their line (`INVALID_CLIENT`, `INVALID_PRODUCT`, `INSUFFICIENT_STOCK`)."
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`) or a CSV that can't be read (`INVALID_CSV`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The upload is larger than `IMPORT_MAX_SIZE` (`PAYLOAD_TOO_LARGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       415:
+ *         description: The upload is neither `text/csv` nor `application/x-ndjson` (`UNSUPPORTED_MEDIA_TYPE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/import", authMiddleware, requirePermission("orders:write"), readImportBody, validate(SCHEMAS.importOrders), asyncHandler(async (req, res) => {
+    const report = await importOrders(parseImport(req, orderFromCsv), { userId: req.user.userId, dryRun: req.query.dryRun });
+    res.json(report);
+}));
 
 /**
  * @swagger
  * /orders/{id}:
  *   get:
  *     summary: Get an order by ID
+ *     description: "**Required role:** admin, staff, readonly"
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -89,88 +326,99 @@ router.get("/", async (req, res) => { // 👈 I didn't add the authentication fo
  *         required: true
  *         schema:
  *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
- *         description: Success
+ *         description: Success. Includes the order's `statusHistory`, oldest change first. Each item shows the snapshotted `unitPrice` and the product's `currentPrice`. The `ETag` header carries the order's version and a digest of the body, which also changes with the client or a product.
+ *       304:
+ *         description: Not modified, the `If-None-Match` ETag is current
+ *       400:
+ *         description: Invalid ID format (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get("/:id", async (req, res) => { // 👈 I didn't add the authentication for this endpoint, to be found as an example of auth bug in the functional tests
-    try {
-        const order = await findById(req.params.id)
-            .populate("clientId", "name email")
-            .populate("items.productId", "name price")
-            .select("-__v")
-            .lean();
+router.get("/:id", injectFaults("GET /orders/:id"), authMiddleware, requirePermission("orders:read"), validate(SCHEMAS.getOrder), asyncHandler(async (req, res) => {
+    const order = await findOrderDetail(activeOnly({ _id: req.params.id }, req.query.includeDeleted));
+    if (!order) throw new NotFoundError("Order not found");
 
-        if (!order) return res.status(404).json({ message: "Order not found" });
-        order.id = order._id;
-        delete order._id;
-        res.json(order);
-    } catch (err) {
-        res.status(400).json({ message: "Invalid ID format" });
-    }
-});
+    sendVersioned(req, res, order.__v, formatOrderDetail(order), { embedsOthers: true });
+}));
 
 /**
  * @swagger
  * /orders:
  *   post:
  *     summary: Create a new order with automatic price calculation
+ *     description: "**Required role:** admin, staff. Each line snapshots the product's name and unit price; `totalPrice` is the sum of the line totals."
  *     tags: [Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               clientId:
- *                 type: string
- *                 description: The ID of the client placing the order.
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     productId:
- *                       type: string
- *                       description: The product ID.
- *                     quantity:
- *                       type: integer
- *                       description: Quantity of the product.
+ *             $ref: '#/components/schemas/OrderInput'
  *     responses:
  *       201:
- *         description: Order created successfully.
+ *         description: Order created successfully. Stock is reserved for every line.
+ *       400:
+ *         description: Invalid input (`VALIDATION_ERROR`, `details` lists every invalid field), or unknown client or product (`INVALID_CLIENT`, `INVALID_PRODUCT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough stock (`INSUFFICIENT_STOCK`, `details` lists every short line with the requested and available quantities), or a request with the same Idempotency-Key is still running.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/", authMiddleware, async (req, res) => {
-    try {
-        const { clientId, items } = req.body;
-
-        const clientExists = await _findById(clientId);
-        if (!clientExists) return res.status(400).json({ message: "Invalid client ID" });
-
-        let totalPrice = 0;
-        for (let item of items) {
-            const product = await __findById(item.productId);
-            if (!product) return res.status(400).json({ message: `Invalid product ID: ${item.productId}` });
-            totalPrice += product.price * item.quantity;
-        }
-
-        const newOrder = new Order({ clientId, items, totalPrice });
-        await newOrder.save();
+router.post("/", injectFaults("POST /orders"), authMiddleware, requirePermission("orders:write"), validate(SCHEMAS.createOrder), idempotent, asyncHandler(async (req, res) => {
+    const { clientId, items } = req.body;
 
-        res.status(201).json(newOrder);
-    } catch (err) {
-        res.status(400).json({ message: "Error creating order", error: err.message });
+    const clientExists = await Client.exists(activeOnly({ _id: clientId }));
+    if (!clientExists) {
+        throw new ValidationError("Invalid client ID", [{ field: "clientId", message: "Unknown client", value: clientId }], "INVALID_CLIENT");
     }
-});
+
+    const newOrder = await createOrder({ clientId, items, userId: req.user.userId });
+    await emitEvent("order.created", newOrder);
+    res.set("ETag", etag(newOrder.__v));
+    res.status(201).json(newOrder);
+}));
 
 /**
  * @swagger
  * /orders/{id}:
  *   put:
  *     summary: Update an order
+ *     description: "**Required role:** admin, staff"
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -178,48 +426,161 @@ router.post("/", authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     productId:
- *                       type: string
- *                     quantity:
- *                       type: integer
+ *             $ref: '#/components/schemas/OrderItemsInput'
  *     responses:
  *       200:
- *         description: Order updated successfully.
+ *         description: Order updated successfully. The stock reservation is adjusted by the difference. The `ETag` header carries the new version.
+ *       400:
+ *         description: Invalid ID or items (`VALIDATION_ERROR`), or unknown product (`INVALID_PRODUCT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order is no longer pending, there is not enough stock for the new items, or a request with the same Idempotency-Key is still running.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put("/:id", authMiddleware, async (req, res) => {
-    try {
-        const { items } = req.body;
-        let totalPrice = 0;
-        for (let item of items) {
-            const product = await __findById(item.productId);
-            if (!product) return res.status(400).json({ message: `Invalid product ID: ${item.productId}` });
-            totalPrice += product.price * item.quantity;
-        }
-        const order = await findByIdAndUpdate(req.params.id, { items, totalPrice }, { new: true });
-        if (!order) return res.status(404).json({ message: "Order not found" });
-        res.json(order);
-    } catch (err) {
-        res.status(400).json({ message: "Error updating order", error: err.message });
-    }
+router.put("/:id", authMiddleware, requirePermission("orders:write"), validate(SCHEMAS.updateOrder), idempotent, asyncHandler(async (req, res) => {
+    const order = await updateOrderItems({ _id: req.params.id }, req.body.items, { versions: expectedVersions(req), userId: req.user.userId });
+    await emitEvent("order.updated", order);
+    res.set("ETag", etag(order.__v));
+    res.json(order);
+}));
+
+// Moves the order to `to`, see services/orderStatus for the allowed transitions
+const transitionHandler = (to) => asyncHandler(async (req, res) => {
+    const order = await transitionOrder({ _id: req.params.id }, to, req.user.userId, { versions: expectedVersions(req) });
+    await emitEvent("order.status_changed", order);
+    if (to === "canceled") await emitEvent("order.canceled", order);
+    res.set("ETag", etag(order.__v));
+    res.json(order);
 });
 
+/**
+ * @swagger
+ * /orders/{id}/ship:
+ *   patch:
+ *     summary: Mark a pending order as shipped
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Order shipped successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order is not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch("/:id/ship", authMiddleware, requirePermission("orders:fulfil"), validate(SCHEMAS.transitionOrder), transitionHandler("shipped"));
+
+/**
+ * @swagger
+ * /orders/{id}/deliver:
+ *   patch:
+ *     summary: Mark a shipped order as delivered
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Order delivered successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order has not been shipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch("/:id/deliver", authMiddleware, requirePermission("orders:fulfil"), validate(SCHEMAS.transitionOrder), transitionHandler("delivered"));
+
 /**
  * @swagger
  * /orders/{id}/cancel:
  *   patch:
- *     summary: Cancel an order
+ *     summary: Cancel a pending order
+ *     description: "**Required role:** admin, staff"
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -227,25 +588,50 @@ router.put("/:id", authMiddleware, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *           format: ObjectId
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Order canceled successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Only pending orders can be canceled, or a request with the same Idempotency-Key is still running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The `If-Match` ETag is stale (`PRECONDITION_FAILED`, `details.etag` is the current one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.patch("/:id/cancel", authMiddleware, async (req, res) => {
-    try {
-        const order = await findByIdAndUpdate(req.params.id, { status: "canceled" }, { new: true });
-        if (!order) return res.status(404).json({ message: "Order not found" });
-        res.json(order);
-    } catch (err) {
-        res.status(400).json({ message: "Error canceling order", error: err.message });
-    }
-});
+router.patch("/:id/cancel", injectFaults("PATCH /orders/:id/cancel"), authMiddleware, requirePermission("orders:cancel"), validate(SCHEMAS.transitionOrder), idempotent, transitionHandler("canceled"));
 
 /**
  * @swagger
- * /clients/{clientId}/orders:
+ * /orders/clients/{clientId}/orders:
  *   get:
- *     summary: Get all orders for a specific client
+ *     summary: Get all orders for a specific client (deprecated)
+ *     description: Moved to `GET /clients/{clientId}/orders`. Responds with a permanent redirect and a `Deprecation` header.
+ *     deprecated: true
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -254,25 +640,64 @@ router.patch("/:id/cancel", authMiddleware, async (req, res) => {
  *         schema:
  *           type: string
  *     responses:
- *       200:
- *         description: Success
+ *       308:
+ *         description: Redirect to /clients/{clientId}/orders
  */
-router.get("/clients/:clientId/orders", async (req, res) => {
-    try {
-        const orders = await find({ clientId: req.params.clientId })
-            .populate("items.productId", "name price")
-            .select("-__v");
-        res.json(orders);
-    } catch (err) {
-        res.status(400).json({ message: "Error fetching client orders", error: err.message });
-    }
+router.get("/clients/:clientId/orders", (req, res) => {
+    const query = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : "";
+    const location = `/clients/${encodeURIComponent(req.params.clientId)}/orders${query}`;
+
+    res.set("Deprecation", "true");
+    res.set("Link", `<${location}>; rel="successor-version"`);
+    res.redirect(308, location);
 });
 
 /**
  * @swagger
  * /orders/{id}:
  *   delete:
- *     summary: Delete an order by ID
+ *     summary: Soft delete an order by ID
+ *     description: "**Required role:** admin. Sets `deletedAt`/`deletedBy`; the order can be restored."
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Order deleted successfully. Stock reserved by a pending order is released.
+ *       400:
+ *         description: Invalid ID format (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete("/:id", authMiddleware, requirePermission("orders:delete"), validate(SCHEMAS.deleteOrder), asyncHandler(async (req, res) => {
+    const order = await deleteOrder({ _id: req.params.id }, { userId: req.user.userId });
+    await emitEvent("order.deleted", order);
+    res.json({ message: "Order deleted successfully" });
+}));
+
+/**
+ * @swagger
+ * /orders/{id}/restore:
+ *   post:
+ *     summary: Restore a soft deleted order
+ *     description: "**Required role:** admin. A pending order reserves its stock again."
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -280,19 +705,38 @@ router.get("/clients/:clientId/orders", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *           format: ObjectId
  *     responses:
  *       200:
- *         description: Order deleted successfully.
+ *         description: Order restored successfully.
+ *       400:
+ *         description: Invalid ID format (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No deleted order with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order's client is deleted (`CLIENT_DELETED`), or there is no longer enough stock for a pending order (`INSUFFICIENT_STOCK`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-    try {
-        const order = await findByIdAndDelete(req.params.id);
-        if (!order) return res.status(404).json({ message: "Order not found" });
+router.post("/:id/restore", authMiddleware, requirePermission("orders:delete"), validate(SCHEMAS.restoreOrder), asyncHandler(async (req, res) => {
+    const order = await restoreOrder({ _id: req.params.id }, { userId: req.user.userId });
 
-        res.json({ message: "Order deleted successfully" });
-    } catch (err) {
-        res.status(400).json({ message: "Invalid ID format" });
-    }
-});
+    res.set("ETag", etag(order.__v));
+    res.json(order);
+}));
 
 export default router;
@@ -0,0 +1,414 @@
+import { Router } from "express";
+import Product from "../models/Product";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { injectFaults } from "../middleware/faultMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { validate } from "../middleware/validationMiddleware";
+import { SCHEMAS } from "../validation/schemas";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors";
+import { escapeRegExp } from "../utils/strings";
+import { recordAudit } from "../services/audit";
+
+const router = Router();
+
+const formatProduct = product => ({
+    id: product._id.toString(),
+    name: product.name,
+    price: product.price,
+    stock: product.stock
+});
+
+const isValidStock = stock => Number.isInteger(stock) && stock >= 0;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Products
+ *   description: Endpoints related to product catalog management
+ */
+
+/**
+ * @swagger
+ * /products:
+ *   get:
+ *     summary: Get all products with pagination, filtering and sorting
+ *     description: "**Required role:** admin, staff, readonly"
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of products per page (default is 10)
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Search products by name (case-insensitive)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only return products with a price greater than or equal to this value
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only return products with a price less than or equal to this value
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, price, -price]
+ *         description: Sort field, prefix with `-` for descending order. Products with the same value are listed in creation order.
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`, `details` lists each one)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", injectFaults("GET /products"), authMiddleware, requirePermission("products:read"), validate(SCHEMAS.listProducts), asyncHandler(async (req, res) => {
+    const { page, limit, name, minPrice, maxPrice, sort } = req.query;
+
+    let query = {};
+    if (name) query.name = new RegExp(escapeRegExp(name), "i");
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        query.price = {};
+        if (minPrice !== undefined) query.price.$gte = minPrice;
+        if (maxPrice !== undefined) query.price.$lte = maxPrice;
+    }
+
+    // `_id` last, so that products with the same name or price keep their order from page to page
+    const sortOption = sort ? { [sort.replace(/^-/, "")]: sort.startsWith("-") ? -1 : 1, _id: 1 } : { _id: 1 };
+
+    const total = await Product.countDocuments(query);
+    const products = await Product.find(query)
+        .sort(sortOption)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-__v");
+
+    res.json({
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        data: products.map(formatProduct),
+    });
+}));
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   get:
+ *     summary: Get a product by ID
+ *     description: "**Required role:** admin, staff, readonly"
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/:id", authMiddleware, requirePermission("products:read"), asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).select("-__v");
+    if (!product) throw new NotFoundError("Product not found");
+
+    res.json(formatProduct(product));
+}));
+
+/**
+ * @swagger
+ * /products:
+ *   post:
+ *     summary: Create a new product
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Products]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name of the product.
+ *                 example: Wireless Mouse
+ *               price:
+ *                 type: number
+ *                 description: The unit price of the product.
+ *                 example: 24.99
+ *               stock:
+ *                 type: integer
+ *                 description: Units available to order (default is 0).
+ *                 example: 100
+ *     responses:
+ *       201:
+ *         description: Product created successfully.
+ *       400:
+ *         description: Bad request. Invalid input data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/", authMiddleware, requirePermission("products:write"), asyncHandler(async (req, res) => {
+    const { name, price, stock = 0 } = req.body;
+
+    if (!name || price === undefined) {
+        throw new ValidationError("Name and price are required");
+    }
+    if (typeof price !== "number" || price < 0) {
+        throw new ValidationError("Price must be a non-negative number");
+    }
+    if (!isValidStock(stock)) {
+        throw new ValidationError("Stock must be a non-negative integer");
+    }
+
+    const newProduct = new Product({ name, price, stock });
+    await newProduct.save();
+    await recordAudit({ actor: req.user.userId, action: "create", resource: "product", resourceId: newProduct._id, after: newProduct });
+
+    res.status(201).json(formatProduct(newProduct));
+}));
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   put:
+ *     summary: Update an existing product by ID
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Updated name of the product.
+ *               price:
+ *                 type: number
+ *                 description: Updated unit price of the product.
+ *               stock:
+ *                 type: integer
+ *                 description: Replaces the stock level. Use PATCH /products/{id}/stock to adjust it relatively.
+ *     responses:
+ *       200:
+ *         description: Product updated successfully.
+ *       400:
+ *         description: Bad request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put("/:id", authMiddleware, requirePermission("products:write"), asyncHandler(async (req, res) => {
+    const { name, price, stock } = req.body;
+    if (price !== undefined && (typeof price !== "number" || price < 0)) {
+        throw new ValidationError("Price must be a non-negative number");
+    }
+    if (stock !== undefined && !isValidStock(stock)) {
+        throw new ValidationError("Stock must be a non-negative integer");
+    }
+
+    // Only overwrite the fields that were actually sent
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (price !== undefined) update.price = price;
+    if (stock !== undefined) update.stock = stock;
+
+    // Returns the product as it was before the update, for the audit log
+    const previous = await Product.findByIdAndUpdate(req.params.id, update, { new: false, runValidators: true });
+    if (!previous) {
+        throw new NotFoundError("Product not found");
+    }
+
+    const updatedProduct = Product.hydrate({ ...previous.toObject(), ...update });
+    await recordAudit({ actor: req.user.userId, action: "update", resource: "product", resourceId: previous._id, before: previous, after: updatedProduct });
+
+    res.json(formatProduct(updatedProduct));
+}));
+
+/**
+ * @swagger
+ * /products/{id}/stock:
+ *   patch:
+ *     summary: Adjust the stock level of a product
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delta:
+ *                 type: integer
+ *                 description: Units to add (positive) or remove (negative).
+ *                 example: 25
+ *     responses:
+ *       200:
+ *         description: Stock adjusted successfully.
+ *       400:
+ *         description: Bad request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The adjustment would make the stock negative.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch("/:id/stock", authMiddleware, requirePermission("products:write"), asyncHandler(async (req, res) => {
+    const { delta } = req.body;
+    if (!Number.isInteger(delta)) {
+        throw new ValidationError("Delta must be an integer");
+    }
+
+    // Conditional on the result staying non-negative, so concurrent adjustments can't oversell
+    const filter = { _id: req.params.id };
+    if (delta < 0) filter.stock = { $gte: -delta };
+
+    const updatedProduct = await Product.findOneAndUpdate(filter, { $inc: { stock: delta } }, { new: true });
+    if (!updatedProduct) {
+        const exists = await Product.exists({ _id: req.params.id });
+        if (!exists) throw new NotFoundError("Product not found");
+        throw new ConflictError("Insufficient stock for this adjustment", undefined, "INSUFFICIENT_STOCK");
+    }
+    await recordAudit({
+        actor: req.user.userId,
+        action: "update",
+        resource: "product",
+        resourceId: updatedProduct._id,
+        before: { stock: updatedProduct.stock - delta },
+        after: { stock: updatedProduct.stock },
+    });
+
+    res.json(formatProduct(updatedProduct));
+}));
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   delete:
+ *     summary: Delete a product by ID
+ *     description: "**Required role:** admin"
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Product deleted successfully.
+ *       404:
+ *         description: Product not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete("/:id", authMiddleware, requirePermission("products:delete"), asyncHandler(async (req, res) => {
+    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+    if (!deletedProduct) {
+        throw new NotFoundError("Product not found");
+    }
+    await recordAudit({ actor: req.user.userId, action: "delete", resource: "product", resourceId: deletedProduct._id, before: deletedProduct });
+
+    res.json({ message: "Product deleted successfully" });
+}));
+
+export default router;
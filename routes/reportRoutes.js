@@ -0,0 +1,226 @@
+import { Router } from "express";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { validate } from "../middleware/validationMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { SCHEMAS } from "../validation/schemas";
+import { ValidationError } from "../utils/errors";
+import { sendCsv } from "../utils/csv";
+import { ORDER_STATUSES } from "../services/orderStatus";
+import {
+    REVENUE_STATUSES,
+    revenueReport,
+    ordersByStatusReport,
+    topClientsReport,
+    topProductsReport,
+    averageOrderValueReport,
+} from "../services/reports";
+
+const router = Router();
+
+// The date range and statuses a report runs on. Without `status`, `defaultStatuses` are reported.
+const reportFilters = (req, defaultStatuses = REVENUE_STATUSES) => {
+    const { from, to, status } = req.query;
+    if (from && to && from > to) {
+        throw new ValidationError("Validation failed", [{ field: "from", location: "query", message: "from must not be after to" }]);
+    }
+    return { from, to, status: status && status.length ? status : defaultStatuses };
+};
+
+// Responds with `{ from, to, status, ..., data }`, or with the rows as CSV for `format=csv`
+const sendReport = (req, res, name, { filters, data, columns }) => {
+    if (req.query.format === "csv") return sendCsv(res, name, Array.isArray(data) ? data : [data], columns);
+    res.json({ ...filters, data });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Sales and client analytics over orders. Soft deleted orders are never counted.
+ */
+
+/**
+ * @swagger
+ * /reports/revenue:
+ *   get:
+ *     summary: Orders and revenue per day, week or month
+ *     description: "**Required role:** admin, staff. Periods are in UTC and weeks start on Monday. Periods without orders are left out."
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: "Rows of `{ period, orders, revenue }`, oldest first"
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/revenue", authMiddleware, requirePermission("reports:read"), validate(SCHEMAS.revenueReport), asyncHandler(async (req, res) => {
+    const { interval } = req.query;
+    const filters = { ...reportFilters(req), interval };
+    const data = await revenueReport(filters);
+    sendReport(req, res, `revenue-by-${interval}`, { filters, data, columns: ["period", "orders", "revenue"] });
+}));
+
+/**
+ * @swagger
+ * /reports/orders-by-status:
+ *   get:
+ *     summary: Order counts and value per status
+ *     description: "**Required role:** admin, staff. Every requested status is listed, with zeros when it has no orders."
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: "Rows of `{ status, orders, revenue }`"
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/orders-by-status", authMiddleware, requirePermission("reports:read"), validate(SCHEMAS.ordersByStatusReport), asyncHandler(async (req, res) => {
+    const filters = reportFilters(req, ORDER_STATUSES);
+    const data = await ordersByStatusReport(filters);
+    sendReport(req, res, "orders-by-status", { filters, data, columns: ["status", "orders", "revenue"] });
+}));
+
+/**
+ * @swagger
+ * /reports/top-clients:
+ *   get:
+ *     summary: Clients who spent the most
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: "Rows of `{ clientId, name, email, orders, revenue }`, highest revenue first"
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/top-clients", authMiddleware, requirePermission("reports:read"), validate(SCHEMAS.topClientsReport), asyncHandler(async (req, res) => {
+    const { limit } = req.query;
+    const filters = { ...reportFilters(req), limit };
+    const data = await topClientsReport(filters);
+    sendReport(req, res, "top-clients", { filters, data, columns: ["clientId", "name", "email", "orders", "revenue"] });
+}));
+
+/**
+ * @swagger
+ * /reports/top-products:
+ *   get:
+ *     summary: Products sold in the largest quantities
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: "Rows of `{ productId, productName, quantity, orders, revenue }` where `orders` counts the orders with the product, largest quantity first"
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/top-products", authMiddleware, requirePermission("reports:read"), validate(SCHEMAS.topProductsReport), asyncHandler(async (req, res) => {
+    const { limit } = req.query;
+    const filters = { ...reportFilters(req), limit };
+    const data = await topProductsReport(filters);
+    sendReport(req, res, "top-products", { filters, data, columns: ["productId", "productName", "quantity", "orders", "revenue"] });
+}));
+
+/**
+ * @swagger
+ * /reports/average-order-value:
+ *   get:
+ *     summary: Average order value
+ *     description: "**Required role:** admin, staff"
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: "`{ orders, revenue, averageOrderValue }`, all zero when no order matches"
+ *       400:
+ *         description: Unknown or invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/average-order-value", authMiddleware, requirePermission("reports:read"), validate(SCHEMAS.averageOrderValueReport), asyncHandler(async (req, res) => {
+    const filters = reportFilters(req);
+    const data = await averageOrderValueReport(filters);
+    sendReport(req, res, "average-order-value", { filters, data, columns: ["orders", "revenue", "averageOrderValue"] });
+}));
+
+export default router;
@@ -0,0 +1,62 @@
+import { Router } from "express";
+import { seedDatabase, listFixtures } from "../seeds";
+import { asyncHandler } from "../middleware/errorHandler";
+import { ValidationError } from "../utils/errors";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Test
+ *   description: Test-only endpoints, mounted when NODE_ENV is "test"
+ */
+
+/**
+ * @swagger
+ * /test/reset:
+ *   post:
+ *     summary: Empty the database and load a fixture set
+ *     description: The same fixture and seed always produce the same documents, IDs included. Rate limit counters are cleared too, and the request itself is never rate limited. Only available when NODE_ENV is "test".
+ *     tags: [Test]
+ *     security: []  # 👈 Overrides global security (the database may not contain any user yet)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fixture:
+ *                 type: string
+ *                 enum: [empty, minimal, default, large]
+ *                 default: default
+ *               seed:
+ *                 type: integer
+ *                 default: 42
+ *     responses:
+ *       200:
+ *         description: Database reset. Returns the document counts and the seeded users' credentials.
+ *       400:
+ *         description: Unknown fixture set or invalid seed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/reset", asyncHandler(async (req, res) => {
+    const { fixture, seed } = req.body || {};
+    if (fixture !== undefined && !listFixtures().includes(fixture)) {
+        throw new ValidationError(`Unknown fixture set. Available: ${listFixtures().join(", ")}`, [{ field: "fixture", message: "Unknown fixture set" }]);
+    }
+    if (seed !== undefined && !Number.isInteger(seed)) {
+        throw new ValidationError("Seed must be an integer", [{ field: "seed", message: "Must be an integer" }]);
+    }
+
+    const summary = await seedDatabase({ fixture, seed });
+    // Also clears a custom store, or the in-memory one that seeding doesn't reach
+    await req.app.locals.rateLimitStore.reset();
+    res.json(summary);
+}));
+
+export default router;
@@ -0,0 +1,430 @@
+import { Router } from "express";
+import Webhook from "../models/Webhook";
+import WebhookDelivery from "../models/WebhookDelivery";
+import authMiddleware from "../middleware/authMiddleware";
+import { requirePermission } from "../middleware/roleMiddleware";
+import { validate } from "../middleware/validationMiddleware";
+import { asyncHandler } from "../middleware/errorHandler";
+import { SCHEMAS } from "../validation/schemas";
+import { NotFoundError } from "../utils/errors";
+import { generateWebhookSecret, redeliver } from "../services/webhooks";
+
+const router = Router();
+
+// The secret is only shown once, in the response to the create
+const formatWebhook = webhook => ({
+    id: webhook._id.toString(),
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+});
+
+const formatDelivery = (delivery, { payload = true } = {}) => ({
+    id: delivery._id.toString(),
+    webhookId: delivery.webhookId.toString(),
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    createdAt: delivery.createdAt,
+    ...(payload && { payload: delivery.payload }),
+});
+
+const findWebhook = async (id) => {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) throw new NotFoundError("Webhook not found");
+    return webhook;
+};
+
+const findDelivery = async (webhookId, deliveryId) => {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhookId });
+    if (!delivery) throw new NotFoundError("Delivery not found");
+    return delivery;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: "Outbound notifications of order and client events. Each delivery is a signed POST of `{ id, event, createdAt, data }`."
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: "**Required role:** admin"
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of webhooks per page (default is 10)
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.listWebhooks), asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const total = await Webhook.countDocuments();
+    const webhooks = await Webhook.find().sort({ createdAt: 1, _id: 1 }).skip((page - 1) * limit).limit(limit);
+
+    res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: webhooks.map(formatWebhook) });
+}));
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: "**Required role:** admin. The response carries the signing `secret`, which is not shown again."
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook registered successfully.
+ *       400:
+ *         description: Invalid input data (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.createWebhook), asyncHandler(async (req, res) => {
+    const { url, secret = generateWebhookSecret(), events, description, active } = req.body;
+    const webhook = await Webhook.create({ url, secret, events, description, active, createdBy: req.user.userId });
+
+    res.status(201).json({ ...formatWebhook(webhook), secret });
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook by ID
+ *     description: "**Required role:** admin"
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid webhook ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.getWebhook), asyncHandler(async (req, res) => {
+    res.json(formatWebhook(await findWebhook(req.params.id)));
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Replace a webhook by ID
+ *     description: "**Required role:** admin. The secret is kept when `secret` is left out."
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully.
+ *       400:
+ *         description: Invalid webhook ID or input data (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.replaceWebhook), asyncHandler(async (req, res) => {
+    const { url, secret, events, description = "", active } = req.body;
+    const webhook = await Webhook.findByIdAndUpdate(
+        req.params.id,
+        { url, events, description, active, ...(secret && { secret }) },
+        { new: true, runValidators: true }
+    );
+    if (!webhook) throw new NotFoundError("Webhook not found");
+
+    res.json(formatWebhook(webhook));
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     description: "**Required role:** admin. Pending retries are dropped."
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully.
+ *       400:
+ *         description: Invalid webhook ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.deleteWebhook), asyncHandler(async (req, res) => {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) throw new NotFoundError("Webhook not found");
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.json({ message: "Webhook deleted successfully" });
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook, newest first
+ *     description: "**Required role:** admin. Each delivery lists its `attempts` with the time, response `statusCode` (null without a response), `error` and duration. Payloads are only returned by the single delivery endpoint."
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (default is 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of deliveries per page (default is 10)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [order.created, order.updated, order.status_changed, order.canceled, order.deleted, client.created, client.updated, client.deleted]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid webhook ID or query parameters (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/deliveries", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.listWebhookDeliveries), asyncHandler(async (req, res) => {
+    const { page, limit, status, event } = req.query;
+    const webhook = await findWebhook(req.params.id);
+
+    const query = { webhookId: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const total = await WebhookDelivery.countDocuments(query);
+    const deliveries = await WebhookDelivery.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-payload");
+
+    res.json({ total, page, limit, totalPages: Math.ceil(total / limit), data: deliveries.map(delivery => formatDelivery(delivery, { payload: false })) });
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with its payload and attempts
+ *     description: "**Required role:** admin"
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Delivery not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/deliveries/:deliveryId", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.getWebhookDelivery), asyncHandler(async (req, res) => {
+    res.json(formatDelivery(await findDelivery(req.params.id, req.params.deliveryId)));
+}));
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: "**Required role:** admin. Sends the same payload, with the same `id`, right away and waits for the response. Works for deliveries in any status, also on inactive webhooks. The attempt is logged with `manual: true`."
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: The delivery with the new attempt. Check the attempt's `statusCode` and `error` to see whether it was received.
+ *       400:
+ *         description: Invalid ID (`VALIDATION_ERROR`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook or delivery not found (`NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/deliveries/:deliveryId/redeliver", authMiddleware, requirePermission("webhooks:manage"), validate(SCHEMAS.redeliverWebhookDelivery), asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req.params.id);
+    const delivery = await findDelivery(webhook._id, req.params.deliveryId);
+
+    res.json(formatDelivery(await redeliver(webhook, delivery)));
+}));
+
+export default router;
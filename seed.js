@@ -1,46 +1,37 @@
-require("dotenv").config();
+const config = require("./config").default;
 const mongoose = require("mongoose");
-const Client = require("./models/Client");
-const Order = require("./models/Order");
+const { seedDatabase, listFixtures } = require("./seeds");
 
-mongoose
-    .connect(process.env.MONGO_URI, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
+// Usage: npm run seed -- [--fixture=default] [--seed=42] [--list]
+const args = Object.fromEntries(
+    process.argv.slice(2).map(arg => {
+        const [key, value = true] = arg.replace(/^--/, "").split("=");
+        return [key, value];
     })
+);
+
+if (args.list) {
+    console.log(`Available fixture sets: ${listFixtures().join(", ")}`);
+    process.exit(0);
+}
+
+mongoose
+    .connect(config.mongoUri)
     .then(async () => {
         console.log("Seeding database...");
-        
-        // Seed Clients
-        await Client.deleteMany({});
-        const clients = await Client.insertMany([
-            { name: "John Doe", email: "john@example.com" },
-            { name: "Jane Smith", email: "jane@example.com" },
-            { name: "Alice Brown", email: "alice@example.com" },
-        ]);
-
-        console.log("Clients seeded successfully!");
 
-        // Seed Orders
-        await Order.deleteMany({});
-        const orders = clients.map(client => ({
-            clientId: client._id,
-            items: [
-                {
-                    productId: new mongoose.Types.ObjectId(), // Placeholder Product ID
-                    quantity: Math.floor(Math.random() * 5) + 1 // Random quantity (1-5)
-                }
-            ],
-            totalPrice: Math.floor(Math.random() * 100) + 20, // Random price (20-120)
-            status: "pending"
-        }));
+        const summary = await seedDatabase({
+            fixture: args.fixture,
+            seed: args.seed === undefined ? undefined : Number(args.seed),
+        });
 
-        await Order.insertMany(orders);
-        console.log("Orders seeded successfully!");
+        console.log(`Seeded fixture "${summary.fixture}" with seed ${summary.seed}:`, summary.counts);
+        summary.users.forEach(user => console.log(`  ${user.role}: ${user.email} / ${user.password}`));
 
-        mongoose.connection.close();
+        await mongoose.connection.close();
     })
     .catch(err => {
-        console.error("Seeding Error:", err);
+        console.error("Seeding Error:", err.message);
+        process.exitCode = 1;
         mongoose.connection.close();
     });
@@ -0,0 +1,38 @@
+// Named fixture sets. Counts are generated from the random seed;
+// `clients` lists fixed clients that are always created first.
+
+// Every set creates one user per role, with these credentials
+export const USERS = [
+    { name: "Admin User", email: "admin@example.com", password: "admin123", role: "admin" },
+    { name: "Staff User", email: "staff@example.com", password: "staff123", role: "staff" },
+    { name: "Readonly User", email: "readonly@example.com", password: "readonly123", role: "readonly" },
+];
+
+const KNOWN_CLIENTS = [
+    { name: "John Doe", email: "john@example.com" },
+    { name: "Jane Smith", email: "jane@example.com" },
+    { name: "Alice Brown", email: "alice@example.com" },
+];
+
+export const FIXTURES = {
+    // Users only, for suites that build their own data
+    empty: { products: 0, clients: [], extraClients: 0, orders: 0 },
+    minimal: { products: 3, clients: KNOWN_CLIENTS.slice(0, 1), extraClients: 0, orders: 2 },
+    default: { products: 10, clients: KNOWN_CLIENTS, extraClients: 2, orders: 12 },
+    large: { products: 50, clients: KNOWN_CLIENTS, extraClients: 97, orders: 500 },
+};
+
+export const DEFAULT_FIXTURE = "default";
+export const DEFAULT_SEED = 42;
+
+export const PRODUCT_NAMES = [
+    "Wireless Mouse", "Mechanical Keyboard", "USB-C Hub", "27-inch Monitor", "Laptop Stand",
+    "Noise Cancelling Headphones", "Webcam", "Desk Lamp", "Office Chair", "Standing Desk",
+    "External SSD", "Portable Charger", "HDMI Cable", "Ergonomic Footrest", "Bluetooth Speaker",
+];
+
+export const FIRST_NAMES = ["Emma", "Liam", "Olivia", "Noah", "Ava", "Lucas", "Mia", "Ethan", "Sofia", "Leo"];
+export const LAST_NAMES = ["Miller", "Garcia", "Wilson", "Martin", "Lee", "Clark", "Lewis", "Young", "Hall", "King"];
+
+// Relative weights of the statuses generated orders end up in
+export const ORDER_STATUS_WEIGHTS = { pending: 4, shipped: 2, delivered: 3, canceled: 1 };
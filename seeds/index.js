@@ -0,0 +1,142 @@
+import User from "../models/User";
+import Client from "../models/Client";
+import Product from "../models/Product";
+import Order from "../models/Order";
+import RefreshToken from "../models/RefreshToken";
+import UserToken from "../models/UserToken";
+import RevokedToken from "../models/RevokedToken";
+import IdempotencyKey from "../models/IdempotencyKey";
+import AuditLog from "../models/AuditLog";
+import Webhook from "../models/Webhook";
+import WebhookDelivery from "../models/WebhookDelivery";
+import RateLimitCounter from "../models/RateLimitCounter";
+import { createRandom } from "./random";
+import { roundPrice, sumLineTotals } from "../services/orderPricing";
+import {
+    USERS,
+    FIXTURES,
+    DEFAULT_FIXTURE,
+    DEFAULT_SEED,
+    PRODUCT_NAMES,
+    FIRST_NAMES,
+    LAST_NAMES,
+    ORDER_STATUS_WEIGHTS,
+} from "./fixtures";
+
+// Seeded timestamps start here and move forward one hour per order
+const BASE_DATE = Date.UTC(2024, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Status path from creation to each final status
+const STATUS_PATHS = {
+    pending: ["pending"],
+    shipped: ["pending", "shipped"],
+    delivered: ["pending", "shipped", "delivered"],
+    canceled: ["pending", "canceled"],
+};
+
+// Every collection that is emptied before seeding
+const COLLECTIONS = [User, Client, Product, Order, RefreshToken, UserToken, RevokedToken, IdempotencyKey, AuditLog, Webhook, WebhookDelivery, RateLimitCounter];
+
+export const listFixtures = () => Object.keys(FIXTURES);
+
+const weightedStatus = (random) => {
+    const entries = Object.entries(ORDER_STATUS_WEIGHTS);
+    let roll = random.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [status, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return status;
+    }
+    return entries[0][0];
+};
+
+const buildProducts = (random, count) =>
+    Array.from({ length: count }, (_, i) => {
+        const baseName = PRODUCT_NAMES[i % PRODUCT_NAMES.length];
+        return {
+            _id: random.objectId(),
+            name: i < PRODUCT_NAMES.length ? baseName : `${baseName} #${Math.floor(i / PRODUCT_NAMES.length) + 1}`,
+            price: roundPrice(random.int(500, 50000) / 100),
+            // What is left to order once the seeded orders have taken their share
+            stock: random.int(50, 200),
+        };
+    });
+
+const buildClients = (random, fixture) => [
+    ...fixture.clients.map(client => ({ _id: random.objectId(), ...client })),
+    ...Array.from({ length: fixture.extraClients }, (_, i) => {
+        const first = random.pick(FIRST_NAMES);
+        const last = random.pick(LAST_NAMES);
+        return { _id: random.objectId(), name: `${first} ${last}`, email: `${first}.${last}.${i + 1}@example.com`.toLowerCase() };
+    }),
+];
+
+const buildOrders = (random, count, clients, products, users) =>
+    Array.from({ length: count }, (_, i) => {
+        const createdAt = new Date(BASE_DATE + i * HOUR);
+        const lines = random.sample(products, random.int(1, Math.min(3, products.length))).map(product => {
+            const quantity = random.int(1, 5);
+            return {
+                productId: product._id,
+                productName: product.name,
+                unitPrice: product.price,
+                quantity,
+                lineTotal: roundPrice(product.price * quantity),
+            };
+        });
+
+        const status = weightedStatus(random);
+        const path = STATUS_PATHS[status];
+        const statusHistory = path.map((to, step) => ({
+            from: step === 0 ? null : path[step - 1],
+            to,
+            changedBy: random.pick(users)._id,
+            changedAt: new Date(createdAt.getTime() + step * 10 * 60 * 1000),
+        }));
+
+        return {
+            _id: random.objectId(),
+            clientId: random.pick(clients)._id,
+            items: lines,
+            totalPrice: sumLineTotals(lines),
+            status,
+            statusHistory,
+            createdAt,
+        };
+    });
+
+/**
+ * Empty the database and load a named fixture set. The same fixture and seed always
+ * produce the same documents, IDs included.
+ *
+ * Resolves to a summary with the document counts and the credentials of the seeded users.
+ */
+export const seedDatabase = async ({ fixture = DEFAULT_FIXTURE, seed = DEFAULT_SEED } = {}) => {
+    const definition = FIXTURES[fixture];
+    if (!definition) throw new Error(`Unknown fixture set "${fixture}". Available: ${listFixtures().join(", ")}`);
+    if (!Number.isInteger(seed)) throw new Error("Seed must be an integer");
+
+    const random = createRandom(seed);
+
+    const users = USERS.map(user => ({ _id: random.objectId(), ...user, emailVerifiedAt: new Date(BASE_DATE) }));
+    const products = buildProducts(random, definition.products);
+    const clients = buildClients(random, definition);
+    const orders = clients.length && products.length
+        ? buildOrders(random, definition.orders, clients, products, users.filter(user => user.role !== "readonly"))
+        : [];
+
+    await Promise.all(COLLECTIONS.map(model => model.deleteMany({})));
+
+    // User.create goes through the save hook, which hashes the passwords
+    await User.create(users);
+    await Product.insertMany(products);
+    await Client.insertMany(clients);
+    await Order.insertMany(orders);
+
+    return {
+        fixture,
+        seed,
+        counts: { users: users.length, products: products.length, clients: clients.length, orders: orders.length },
+        users: USERS.map(({ email, password, role }) => ({ email, password, role })),
+    };
+};
@@ -0,0 +1,37 @@
+import { Types } from "mongoose";
+
+/**
+ * Small seeded pseudo random generator (mulberry32), so that the same seed
+ * always produces the same fixtures.
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (list) => list[int(0, list.length - 1)];
+
+    // Draw `count` distinct elements
+    const sample = (list, count) => {
+        const pool = [...list];
+        const picked = [];
+        while (picked.length < count && pool.length) picked.push(pool.splice(int(0, pool.length - 1), 1)[0]);
+        return picked;
+    };
+
+    // ObjectIds derived from the seed, so seeded documents keep the same IDs across runs
+    const objectId = () => {
+        let hex = "";
+        for (let i = 0; i < 12; i++) hex += int(0, 255).toString(16).padStart(2, "0");
+        return new Types.ObjectId(hex);
+    };
+
+    return { next, int, pick, sample, objectId };
+};
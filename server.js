@@ -0,0 +1,80 @@
+import defaultConfig from "./config";
+import { createApp } from "./app";
+import { connectWithRetry } from "./services/database";
+import { markDraining } from "./services/health";
+import { startWebhookWorker } from "./services/webhooks";
+
+const listen = (app, port) => new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    server.once("listening", () => resolve(server));
+    server.once("error", reject);
+});
+
+/**
+ * Stops taking requests, lets the in-flight ones finish (for at most `timeoutMs`, then their
+ * connections are cut) and releases what the server holds.
+ */
+const stop = async ({ app, server, webhookWorker, connection, ownsConnection, timeoutMs, logger }) => {
+    markDraining(app);
+    webhookWorker.stop();
+
+    const timer = setTimeout(() => {
+        logger.warn(`Requests still running after ${timeoutMs} ms, closing their connections`);
+        server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    // Keep-alive connections are closed as soon as they are idle, i.e. once their in-flight request is answered
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 100);
+    // Resolves once every connection is closed
+    await new Promise(resolve => server.close(() => resolve()));
+    clearInterval(idleSweep);
+    clearTimeout(timer);
+
+    const { rateLimitStore } = app.locals;
+    if (rateLimitStore.close) rateLimitStore.close();
+    if (ownsConnection) await connection.close();
+};
+
+/**
+ * Starts the API: opens its own connection to MongoDB (retrying, see connectWithRetry), builds the
+ * app with createApp and listens on `port`, config.port by default or a free one with 0. Accepts
+ * the options of createApp; with `connection`, an already open connection is used and left open.
+ *
+ * Resolves once the server accepts requests, to `{ app, server, port, url, close }`. `close()`
+ * drains the server (for at most SHUTDOWN_TIMEOUT_SECONDS), stops its webhook retry worker and
+ * closes the connection it opened. Several servers can run in one process.
+ */
+export const startServer = async ({ config = defaultConfig, port = config.port, connection, logger = console, ...options } = {}) => {
+    const ownsConnection = !connection;
+    if (ownsConnection) {
+        connection = await connectWithRetry(config.mongoUri, {
+            attempts: config.database.connectAttempts,
+            retryMs: config.database.connectRetrySeconds * 1000,
+            logger,
+        });
+        logger.info("MongoDB Connected");
+    }
+
+    const app = createApp({ config, connection, logger, ...options });
+    let server;
+    try {
+        server = await listen(app, port);
+    } catch (err) {
+        if (ownsConnection) await connection.close();
+        throw err;
+    }
+    // Retries failed webhook deliveries with the app's connection and settings
+    const webhookWorker = startWebhookWorker(app.locals);
+
+    const actualPort = server.address().port;
+    logger.info(`Server running on port ${actualPort} (${config.env})`);
+
+    let closing = null;
+    const close = () => {
+        closing = closing || stop({ app, server, webhookWorker, connection, ownsConnection, timeoutMs: config.shutdownTimeoutSeconds * 1000, logger });
+        return closing;
+    };
+
+    return { app, server, port: actualPort, url: `http://127.0.0.1:${actualPort}`, close };
+};
@@ -0,0 +1,106 @@
+import { randomBytes } from "crypto";
+import User from "../models/User";
+import UserToken from "../models/UserToken";
+import { hashToken, revokeAllSessions } from "./tokenService";
+import { sendMail } from "./mail";
+import { appContext, currentDate, currentTime } from "../utils/appContext";
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const accountSettings = () => appContext().config.account;
+
+// Lifetime of the tokens sent by email, by purpose
+const tokenTtlMs = (purpose) => {
+    const settings = accountSettings();
+    return purpose === "verify_email" ? settings.emailVerificationTtlHours * HOUR : settings.passwordResetTtlMinutes * MINUTE;
+};
+
+// Unverified users can't log in unless REQUIRE_EMAIL_VERIFICATION=false
+export const isEmailVerificationRequired = () => accountSettings().requireEmailVerification;
+
+// Users created before email verification existed have no emailVerifiedAt at all
+export const isEmailVerified = user => user.emailVerifiedAt !== null;
+
+export const isLocked = user => Boolean(user.lockedUntil && user.lockedUntil.getTime() > currentTime());
+
+/**
+ * Issues a single-use token for `purpose` and resolves to its plain value; only the hash is
+ * stored. Unused tokens issued earlier for the same purpose stop working.
+ */
+export const issueUserToken = async (userId, purpose) => {
+    await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+    const token = randomBytes(32).toString("base64url");
+    await UserToken.create({ userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(currentTime() + tokenTtlMs(purpose)) });
+    return token;
+};
+
+/**
+ * Marks a token as used, atomically, so that it works once. Resolves to the id of its user, or
+ * null when the token is unknown, expired or already used.
+ */
+export const consumeUserToken = async (token, purpose) => {
+    const record = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: currentDate() } },
+        { usedAt: currentDate() },
+        { new: true }
+    );
+    return record ? record.userId : null;
+};
+
+export const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user._id, "verify_email");
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: `Hi ${user.name},\n\nConfirm your email address with this link, valid for ${tokenTtlMs("verify_email") / HOUR} hours:\n${appContext().config.mail.appUrl}/verify-email?token=${token}\n\n`
+            + `Or send the token to POST /auth/verify-email:\n${token}`,
+        data: { purpose: "verify_email", token },
+    });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user._id, "reset_password");
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nSet a new password with this link, valid for ${tokenTtlMs("reset_password") / MINUTE} minutes:\n${appContext().config.mail.appUrl}/reset-password?token=${token}\n\n`
+            + `Or send the token to POST /auth/reset-password:\n${token}\n\nIf you did not ask for a reset, ignore this email.`,
+        data: { purpose: "reset_password", token },
+    });
+};
+
+/**
+ * Counts a failed login. The MAX_FAILED_LOGINS-th failure in a row locks the account for
+ * LOCKOUT_MINUTES; resolves to the end of the lock, or null.
+ */
+export const recordFailedLogin = async (user) => {
+    const { maxFailedLogins, lockoutMinutes } = accountSettings();
+    const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+    if (!updated || updated.failedLoginAttempts < maxFailedLogins) return null;
+
+    const lockedUntil = new Date(currentTime() + lockoutMinutes * MINUTE);
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil });
+    return lockedUntil;
+};
+
+export const recordSuccessfulLogin = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) return;
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: null });
+};
+
+/**
+ * Sets a new password and ends every session of the user, as well as any lockout.
+ * Resolves to the updated user, whose new token version new tokens must carry.
+ */
+export const changePassword = async (user, password) => {
+    user.password = password;
+    user.passwordChangedAt = currentDate();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+
+    await UserToken.deleteMany({ userId: user._id, purpose: "reset_password", usedAt: null });
+    return revokeAllSessions(user._id);
+};
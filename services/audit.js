@@ -0,0 +1,46 @@
+import AuditLog from "../models/AuditLog";
+import { appContext } from "../utils/appContext";
+
+export const AUDIT_RESOURCES = ["client", "order", "product", "user"];
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "ship", "deliver", "cancel"];
+
+// Never copied into the trail
+const IGNORED_FIELDS = ["_id", "__v", "password", "tokenVersion"];
+
+// Plain copy of a document (or lean object) with ObjectIds and dates as JSON values
+const snapshot = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+    const copy = JSON.parse(JSON.stringify(plain));
+    IGNORED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+};
+
+/**
+ * Top-level fields that differ between two versions of a document, as
+ * `[{ field, before, after }]`. Nested values (e.g. order items) are compared as a whole.
+ */
+export const diff = (before, after) => {
+    const previous = snapshot(before);
+    const next = snapshot(after);
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+    return fields
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+        .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+};
+
+/**
+ * Appends an entry to the audit log. `before` is omitted for creations and `after` for
+ * deletions. `actor` is the userId from the access token, if any.
+ *
+ * A failure to write the entry is logged rather than thrown: the change it describes has
+ * already been made and the response should say so.
+ */
+export const recordAudit = async ({ actor, action, resource, resourceId, before, after }) => {
+    try {
+        await AuditLog.create({ actor: actor || null, action, resource, resourceId, changes: diff(before, after) });
+    } catch (err) {
+        appContext().logger.error(`Failed to write the audit entry for ${action} ${resource} ${resourceId}:`, err);
+    }
+};
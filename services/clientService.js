@@ -0,0 +1,80 @@
+import Client from "../models/Client";
+import Order from "../models/Order";
+import { deleteOrder } from "./orderService";
+import { recordAudit } from "./audit";
+import { emitEvent } from "./webhooks";
+import { activeOnly, deletedOnly } from "../utils/softDelete";
+import { NotFoundError, ConflictError } from "../utils/errors";
+import { appContext, currentDate } from "../utils/appContext";
+
+/**
+ * Soft delete a client, applying the order policy to its orders: by default the app's
+ * CLIENT_DELETE_ORDER_POLICY, one of CLIENT_DELETE_ORDER_POLICIES in config.js.
+ */
+export const deleteClient = async (id, { userId, policy = appContext().config.clientDeleteOrderPolicy } = {}) => {
+    const ordersFilter = activeOnly({ clientId: id });
+
+    if (policy === "block") {
+        const orders = await Order.countDocuments(ordersFilter);
+        if (orders) {
+            throw new ConflictError(`The client still has ${orders} order(s)`, { orders, policy }, "CLIENT_HAS_ORDERS");
+        }
+    }
+
+    const deletedAt = currentDate();
+    const client = await Client.findOneAndUpdate(
+        activeOnly({ _id: id }),
+        { deletedAt, deletedBy: userId, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!client) throw new NotFoundError("Client not found");
+
+    await recordAudit({
+        actor: userId,
+        action: "delete",
+        resource: "client",
+        resourceId: client._id,
+        before: { deletedAt: null, deletedBy: null },
+        after: { deletedAt: client.deletedAt, deletedBy: client.deletedBy },
+    });
+
+    if (policy === "cascade") {
+        const orders = await Order.find(ordersFilter).select("_id");
+        for (const order of orders) {
+            try {
+                const deleted = await deleteOrder({ _id: order._id }, { userId, deletedAt });
+                await emitEvent("order.deleted", deleted);
+            } catch (err) {
+                // Deleted by someone else in the meantime
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+        }
+    }
+
+    return client;
+};
+
+/**
+ * Bring back a soft deleted client. Its orders are not restored with it.
+ */
+export const restoreClient = async (id, { userId } = {}) => {
+    const deleted = await Client.findOne(deletedOnly({ _id: id }));
+    if (!deleted) throw new NotFoundError("Deleted client not found");
+
+    const client = await Client.findOneAndUpdate(
+        { _id: deleted._id, deletedAt: deleted.deletedAt },
+        { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!client) throw new NotFoundError("Deleted client not found");
+
+    await recordAudit({
+        actor: userId,
+        action: "restore",
+        resource: "client",
+        resourceId: client._id,
+        before: { deletedAt: deleted.deletedAt, deletedBy: deleted.deletedBy },
+        after: { deletedAt: null, deletedBy: null },
+    });
+    return client;
+};
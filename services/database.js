@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const RETRY_MAX_MS = 30 * 1000;
+const PING_TIMEOUT_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Opens a new mongoose connection to `uri`, separate from mongoose's default one, retrying with
+ * exponential backoff: `retryMs`, then twice as long each time, up to 30 seconds apart. Resolves
+ * to the open connection, or rejects with the last error after `attempts` failures.
+ */
+export const connectWithRetry = async (uri, { attempts, retryMs, logger = console }) => {
+    for (let attempt = 1; ; attempt++) {
+        const connection = mongoose.createConnection(uri);
+        try {
+            return await connection.asPromise();
+        } catch (err) {
+            await connection.close().catch(() => {});
+            if (attempt >= attempts) throw err;
+
+            const delay = Math.min(retryMs * 2 ** (attempt - 1), RETRY_MAX_MS);
+            logger.error(`MongoDB connection attempt ${attempt}/${attempts} failed (${err.message}), retrying in ${delay} ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Pings the database. Resolves to `{ status: "up", latencyMs }`, or `{ status: "down", error }`
+ * when the connection is not open or the ping fails or takes more than 2 seconds.
+ */
+export const checkDatabase = async (connection = mongoose.connection) => {
+    if (connection.readyState !== 1) return { status: "down", error: "Not connected" };
+
+    const start = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            connection.db.admin().ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer within ${PING_TIMEOUT_MS} ms`)), PING_TIMEOUT_MS);
+            }),
+        ]);
+        return { status: "up", latencyMs: Date.now() - start };
+    } catch (err) {
+        return { status: "down", error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+};
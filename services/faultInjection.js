@@ -0,0 +1,49 @@
+import { FAULT_MANIFEST } from "./faultManifest";
+import { appContext } from "../utils/appContext";
+
+// Runtime state of the deliberate defects listed in services/faultManifest.js
+
+export { FAULT_MANIFEST };
+
+const faultsByName = new Map(FAULT_MANIFEST.map(fault => [fault.name, fault]));
+
+/**
+ * The faults of one app (createApp keeps it in `app.locals.faults`): at first those named in
+ * FAULTS, which config.js has checked, then whatever the /faults endpoints change. Faults are
+ * never enabled from the environment in production.
+ */
+export const createFaultState = (config) => {
+    const fromEnv = config.env === "production" ? [] : config.faults;
+    return { fromEnv, active: new Set(fromEnv) };
+};
+
+// The faults of the app handling the request
+const faultState = () => appContext().faults;
+
+export const isKnownFault = (name) => faultsByName.has(name);
+
+export const setFaultEnabled = (name, enabled) => {
+    const { active } = faultState();
+    if (enabled) active.add(name);
+    else active.delete(name);
+};
+
+// Back to the faults named in the environment
+export const resetFaults = () => {
+    const state = faultState();
+    state.active = new Set(state.fromEnv);
+};
+
+export const disableAllFaults = () => {
+    faultState().active = new Set();
+};
+
+export const listFaults = () => {
+    const { active } = faultState();
+    return FAULT_MANIFEST.map(fault => ({ ...fault, enabled: active.has(fault.name) }));
+};
+
+export const activeFaultsForRoute = (route) => {
+    const { active } = faultState();
+    return FAULT_MANIFEST.filter(fault => fault.route === route && active.has(fault.name));
+};
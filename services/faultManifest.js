@@ -0,0 +1,89 @@
+// Deliberate defects that functional test suites are expected to detect.
+// Every fault is off by default. Enable them with the FAULTS env variable
+// (comma separated names, or "all") or at runtime through the /faults admin endpoints
+// (services/faultInjection.js). This module has no dependencies, so that config.js can
+// check the FAULTS names against it.
+//
+// Kinds:
+//   skip-auth              the route answers without checking the token or the role
+//   wrong-status           responses with status `params.from` are sent with `params.to`
+//   off-by-one-pagination  pages start one item too early, so consecutive pages overlap
+//   latency                the response is delayed by `params.ms` milliseconds
+//   random-500             the request fails with a 500 with probability `params.probability`
+export const FAULT_MANIFEST = [
+    {
+        name: "orders.list.skip-auth",
+        route: "GET /orders",
+        kind: "skip-auth",
+        description: "Lists orders without a valid token",
+    },
+    {
+        name: "orders.get.skip-auth",
+        route: "GET /orders/:id",
+        kind: "skip-auth",
+        description: "Returns an order without a valid token",
+    },
+    {
+        name: "orders.list.off-by-one",
+        route: "GET /orders",
+        kind: "off-by-one-pagination",
+        description: "The last order of a page is repeated as the first order of the next page",
+    },
+    {
+        name: "clients.list.off-by-one",
+        route: "GET /clients",
+        kind: "off-by-one-pagination",
+        description: "The last client of a page is repeated as the first client of the next page",
+    },
+    {
+        name: "clients.create.wrong-status",
+        route: "POST /clients",
+        kind: "wrong-status",
+        params: { from: 201, to: 200 },
+        description: "Answers 200 instead of 201 when a client is created",
+    },
+    {
+        name: "orders.create.wrong-status",
+        route: "POST /orders",
+        kind: "wrong-status",
+        params: { from: 201, to: 200 },
+        description: "Answers 200 instead of 201 when an order is created",
+    },
+    {
+        name: "orders.cancel.wrong-status",
+        route: "PATCH /orders/:id/cancel",
+        kind: "wrong-status",
+        params: { from: 409, to: 200 },
+        description: "Answers 200 instead of 409 when the order can no longer be canceled",
+    },
+    {
+        name: "clients.get.latency",
+        route: "GET /clients/:id",
+        kind: "latency",
+        params: { ms: 3000 },
+        description: "Delays the response by 3 seconds",
+    },
+    {
+        name: "products.list.latency",
+        route: "GET /products",
+        kind: "latency",
+        params: { ms: 3000 },
+        description: "Delays the response by 3 seconds",
+    },
+    {
+        name: "orders.create.random-500",
+        route: "POST /orders",
+        kind: "random-500",
+        params: { probability: 0.5 },
+        description: "Half of the order creations fail with a 500",
+    },
+    {
+        name: "clients.list.random-500",
+        route: "GET /clients",
+        kind: "random-500",
+        params: { probability: 0.5 },
+        description: "Half of the client listings fail with a 500",
+    },
+];
+
+export const FAULT_NAMES = FAULT_MANIFEST.map(fault => fault.name);
@@ -0,0 +1,38 @@
+import { checkDatabase } from "./database";
+
+// Set once shutdown starts: the app stops reporting ready so that load balancers move traffic away
+export const markDraining = (app) => {
+    app.locals.draining = true;
+};
+
+export const isDraining = app => Boolean(app.locals.draining);
+
+const buildInfo = ({ config, clock, startedAt }) => ({
+    version: config.build.version,
+    commit: config.build.commit,
+    environment: config.env,
+    startedAt: new Date(startedAt),
+    uptimeSeconds: Math.floor((clock.now() - startedAt) / 1000),
+});
+
+// The process is up and answering; says nothing about its dependencies
+export const liveness = app => ({ status: "ok", build: buildInfo(app.locals) });
+
+/**
+ * Whether the app can serve requests: its database connection answers a ping and shutdown has
+ * not started. Resolves to `{ ready, body }`.
+ */
+export const readiness = async (app) => {
+    const database = await checkDatabase(app.locals.connection);
+    const draining = isDraining(app);
+    const ready = database.status === "up" && !draining;
+    return {
+        ready,
+        body: {
+            status: ready ? "ok" : "unavailable",
+            ...(draining ? { reason: "Shutting down" } : {}),
+            checks: { database },
+            build: buildInfo(app.locals),
+        },
+    };
+};
@@ -0,0 +1,226 @@
+import { once } from "events";
+import { text } from "express";
+import Client from "../models/Client";
+import { BODIES } from "../validation/schemas";
+import { validateRecord } from "../middleware/validationMiddleware";
+import { createOrder } from "./orderService";
+import { buildOrderLines } from "./orderPricing";
+import { recordAudit } from "./audit";
+import { emitEvent } from "./webhooks";
+import { csvLine, parseCsv } from "../utils/csv";
+import { activeOnly } from "../utils/softDelete";
+import { appContext } from "../utils/appContext";
+import { AppError, ValidationError, UnsupportedMediaTypeError } from "../utils/errors";
+
+// Bulk import and streaming export of clients and orders, as CSV or NDJSON (one JSON object per line)
+
+const CSV_TYPE = "text/csv";
+const NDJSON_TYPES = ["application/x-ndjson", "application/ndjson"];
+
+// Content types the import routes read as text
+export const IMPORT_CONTENT_TYPES = [CSV_TYPE, ...NDJSON_TYPES];
+
+// Reads an upload of IMPORT_CONTENT_TYPES as text, of at most the app's IMPORT_MAX_SIZE
+export const readImportBody = (req, res, next) =>
+    text({ type: IMPORT_CONTENT_TYPES, limit: appContext().config.importMaxSize })(req, res, next);
+
+const parseNdjson = (text) => text.split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content: content.trim() }))
+    .filter(({ content }) => content)
+    .map(({ line, content }) => {
+        let record;
+        try {
+            record = JSON.parse(content);
+        } catch {
+            return { line, error: new ValidationError("Line is not valid JSON", undefined, "INVALID_JSON") };
+        }
+        if (!record || typeof record !== "object" || Array.isArray(record)) {
+            return { line, error: new ValidationError("Each line must be a JSON object") };
+        }
+        return { line, record };
+    });
+
+/**
+ * Splits an upload into `{ line, record }` entries, by its Content-Type. `fromCsv` turns a CSV
+ * record, where every value is a string, into the shape the NDJSON records have.
+ * Lines that can't be read become `{ line, error }`.
+ */
+export const parseImport = (req, fromCsv = record => record) => {
+    if (typeof req.body === "string" && req.is(CSV_TYPE)) {
+        return parseCsv(req.body).map(({ line, record }) => ({ line, record: fromCsv(record) }));
+    }
+    if (typeof req.body === "string" && req.is(NDJSON_TYPES)) return parseNdjson(req.body);
+    throw new UnsupportedMediaTypeError("Imports must be sent as text/csv or application/x-ndjson", { accepted: IMPORT_CONTENT_TYPES });
+};
+
+const failed = (line, err) => {
+    if (!(err instanceof AppError)) throw err;
+    const error = err.details === undefined ? { code: err.code, message: err.message } : { code: err.code, message: err.message, details: err.details };
+    return { line, status: "failed", error };
+};
+
+const report = (rows, dryRun) => ({
+    dryRun,
+    total: rows.length,
+    created: rows.filter(row => row.status === "created").length,
+    skipped: rows.filter(row => row.status === "skipped").length,
+    failed: rows.filter(row => row.status === "failed").length,
+    rows,
+});
+
+/**
+ * Creates a client per record. Records whose email is already taken, by an existing client (deleted
+ * or not) or an earlier line, are skipped. With `dryRun` nothing is written.
+ *
+ * Resolves to `{ dryRun, total, created, skipped, failed, rows }`, with one
+ * `{ line, status, id?, reason?, error? }` per record.
+ */
+export const importClients = async (entries, { userId, dryRun = false }) => {
+    const linesByEmail = new Map();
+    const rows = [];
+
+    for (const { line, record, error } of entries) {
+        if (error) {
+            rows.push(failed(line, error));
+            continue;
+        }
+        const { value, error: invalid } = await validateRecord(BODIES.ClientInput, record);
+        if (invalid) {
+            rows.push(failed(line, invalid));
+            continue;
+        }
+
+        const { name, email } = value;
+        if (linesByEmail.has(email)) {
+            rows.push({ line, status: "skipped", reason: `Same email as line ${linesByEmail.get(email)}` });
+            continue;
+        }
+        linesByEmail.set(email, line);
+
+        const existing = await Client.findOne({ email }).select("_id");
+        if (existing) {
+            rows.push({ line, status: "skipped", id: existing._id.toString(), reason: "A client with this email already exists" });
+            continue;
+        }
+        if (dryRun) {
+            rows.push({ line, status: "created" });
+            continue;
+        }
+
+        try {
+            const client = await Client.create({ name, email });
+            await recordAudit({ actor: userId, action: "create", resource: "client", resourceId: client._id, after: client });
+            await emitEvent("client.created", clientExportRecord(client));
+            rows.push({ line, status: "created", id: client._id.toString() });
+        } catch (err) {
+            // Created by another request in the meantime
+            if (err.code !== 11000) throw err;
+            rows.push({ line, status: "skipped", reason: "A client with this email already exists" });
+        }
+    }
+    return report(rows, dryRun);
+};
+
+/**
+ * CSV orders have one line per order, with the items as `productId:quantity` pairs separated by `;`.
+ */
+export const orderFromCsv = ({ items, ...record }) => ({
+    ...record,
+    items: items === undefined || items === "" ? [] : items.split(";").map(pair => {
+        const [productId, quantity] = pair.split(":").map(part => part.trim());
+        return { productId, quantity: quantity !== "" && Number.isFinite(Number(quantity)) ? Number(quantity) : quantity };
+    }),
+});
+
+/**
+ * Creates a pending order per record, exactly like POST /orders: prices are snapshotted and stock
+ * is reserved. With `dryRun` nothing is written and stock is not checked. Resolves to the same
+ * report as importClients.
+ */
+export const importOrders = async (entries, { userId, dryRun = false }) => {
+    const activeClients = new Map();
+    const rows = [];
+
+    for (const { line, record, error } of entries) {
+        if (error) {
+            rows.push(failed(line, error));
+            continue;
+        }
+        const { value, error: invalid } = await validateRecord(BODIES.OrderInput, record);
+        if (invalid) {
+            rows.push(failed(line, invalid));
+            continue;
+        }
+
+        const { clientId } = value;
+        const items = value.items.map(({ productId, quantity }) => ({ productId, quantity }));
+        try {
+            if (!activeClients.has(clientId)) activeClients.set(clientId, Boolean(await Client.exists(activeOnly({ _id: clientId }))));
+            if (!activeClients.get(clientId)) {
+                throw new ValidationError("Invalid client ID", [{ field: "clientId", message: "Unknown client", value: clientId }], "INVALID_CLIENT");
+            }
+
+            if (dryRun) {
+                const { invalidProductId } = await buildOrderLines(items);
+                if (invalidProductId) {
+                    throw new ValidationError(`Invalid product ID: ${invalidProductId}`, [{ field: "items", message: "Unknown product", value: invalidProductId }], "INVALID_PRODUCT");
+                }
+                rows.push({ line, status: "created" });
+                continue;
+            }
+
+            const order = await createOrder({ clientId, items, userId });
+            await emitEvent("order.created", order);
+            rows.push({ line, status: "created", id: order._id.toString() });
+        } catch (err) {
+            rows.push(failed(line, err));
+        }
+    }
+    return report(rows, dryRun);
+};
+
+export const CLIENT_EXPORT_COLUMNS = ["id", "name", "email"];
+
+export const clientExportRecord = client => ({ id: client._id.toString(), name: client.name, email: client.email });
+
+export const ORDER_EXPORT_COLUMNS = ["id", "clientId", "status", "totalPrice", "createdAt", "items"];
+
+export const orderExportRecord = order => ({
+    id: order._id.toString(),
+    clientId: order.clientId.toString(),
+    status: order.status,
+    totalPrice: order.totalPrice,
+    createdAt: order.createdAt,
+    items: order.items.map(item => ({
+        productId: item.productId.toString(),
+        productName: item.productName,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        lineTotal: item.lineTotal,
+    })),
+});
+
+// The CSV counterpart of orderFromCsv
+export const orderCsvRecord = record => ({ ...record, items: record.items.map(item => `${item.productId}:${item.quantity}`).join(";") });
+
+/**
+ * Streams the documents of a Mongoose query cursor as a CSV or NDJSON attachment, one record per
+ * line, without loading them all in memory. Stops early when the client goes away.
+ */
+export const streamExport = async (res, cursor, { format, filename, columns, toRecord, toCsvRecord = record => record }) => {
+    res.set("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+    if (format === "csv") res.write(csvLine(Object.fromEntries(columns.map(column => [column, column])), columns));
+
+    try {
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+            const record = toRecord(doc);
+            const chunk = format === "csv" ? csvLine(toCsvRecord(record), columns) : `${JSON.stringify(record)}\n`;
+            if (!res.write(chunk)) await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+    } finally {
+        await cursor.close();
+    }
+    res.end();
+};
@@ -0,0 +1,107 @@
+import Product from "../models/Product";
+
+// Sum the quantities per product, so an order listing the same product twice is checked once
+const quantitiesByProduct = (items) => {
+    const quantities = new Map();
+    for (const item of items) {
+        const productId = item.productId.toString();
+        quantities.set(productId, (quantities.get(productId) || 0) + item.quantity);
+    }
+    return quantities;
+};
+
+const returnStock = async (quantities) => {
+    const operations = [...quantities]
+        .filter(([, quantity]) => quantity > 0)
+        .map(([productId, quantity]) => ({
+            updateOne: { filter: { _id: productId }, update: { $inc: { stock: quantity } } }
+        }));
+    if (operations.length) await Product.bulkWrite(operations);
+};
+
+// Take stock for every product, or for none of them.
+// Each decrement is conditional on enough stock being left, and the ones that already
+// succeeded are given back as soon as one product is short.
+const reserveQuantities = async (quantities) => {
+    const reserved = new Map();
+    const shortages = new Map();
+
+    for (const [productId, quantity] of quantities) {
+        if (quantity <= 0) continue;
+
+        const product = await Product.findOneAndUpdate(
+            { _id: productId, stock: { $gte: quantity } },
+            { $inc: { stock: -quantity } }
+        );
+        if (product) {
+            reserved.set(productId, quantity);
+        } else {
+            const existing = await Product.findById(productId).select("stock");
+            shortages.set(productId, existing ? existing.stock : null);
+        }
+    }
+
+    if (shortages.size) await returnStock(reserved);
+    return shortages;
+};
+
+// One error per order line whose product could not be reserved.
+// `needed` is the quantity that had to be taken from stock for that product.
+const lineErrors = (items, shortages, needed) =>
+    items
+        .map((item, line) => ({ item, line }))
+        .filter(({ item }) => shortages.has(item.productId.toString()))
+        .map(({ item, line }) => {
+            const productId = item.productId.toString();
+            const available = shortages.get(productId);
+            return {
+                line,
+                productId,
+                requested: item.quantity,
+                needed: needed.get(productId),
+                available: available === null ? 0 : available,
+                message: available === null ? "Product not found" : "Insufficient stock"
+            };
+        });
+
+/**
+ * Reserve stock for all order lines.
+ * Resolves to `{ ok: true }` or `{ ok: false, errors }` with one entry per short line;
+ * nothing stays reserved when it fails.
+ */
+export const reserveStock = async (items) => {
+    const quantities = quantitiesByProduct(items);
+    const shortages = await reserveQuantities(quantities);
+    if (shortages.size) return { ok: false, errors: lineErrors(items, shortages, quantities) };
+    return { ok: true };
+};
+
+/**
+ * Give the stock held by these order lines back.
+ */
+export const releaseStock = async (items) => {
+    await returnStock(quantitiesByProduct(items));
+};
+
+/**
+ * Move a reservation from `previousItems` to `nextItems`, only touching the difference.
+ * Extra quantities are reserved first, so a shortage leaves the previous reservation intact.
+ */
+export const adjustReservation = async (previousItems, nextItems) => {
+    const previous = quantitiesByProduct(previousItems);
+    const next = quantitiesByProduct(nextItems);
+
+    const increases = new Map();
+    const decreases = new Map();
+    for (const productId of new Set([...previous.keys(), ...next.keys()])) {
+        const difference = (next.get(productId) || 0) - (previous.get(productId) || 0);
+        if (difference > 0) increases.set(productId, difference);
+        if (difference < 0) decreases.set(productId, -difference);
+    }
+
+    const shortages = await reserveQuantities(increases);
+    if (shortages.size) return { ok: false, errors: lineErrors(nextItems, shortages, increases) };
+
+    await returnStock(decreases);
+    return { ok: true };
+};
@@ -0,0 +1,37 @@
+import { appendFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { appContext, currentDate } from "../utils/appContext";
+
+/**
+ * Mail transports have a `send(message)` method resolving once the message is handed over.
+ * Messages are `{ from, to, subject, text, data }`; `data` holds the values the text embeds
+ * (e.g. a token), so that scripts and tests can read them without parsing the text.
+ */
+
+// Logs each message, the default for development
+export const createConsoleTransport = (logger = console) => ({
+    async send(message) {
+        logger.info(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    },
+});
+
+// Appends each message as a JSON line to `file` (MAIL_FILE, default mail.log)
+export const createFileTransport = file => ({
+    async send(message) {
+        await mkdir(dirname(file), { recursive: true });
+        await appendFile(file, `${JSON.stringify({ sentAt: currentDate(), ...message })}\n`);
+    },
+});
+
+// The transport MAIL_TRANSPORT names, from the `mail` settings of config.js
+export const createMailTransport = ({ transport, file }, logger = console) =>
+    (transport === "file" ? createFileTransport(file) : createConsoleTransport(logger));
+
+/**
+ * Sends `message` from MAIL_FROM with the app's transport, which the `mailTransport` option of
+ * createApp replaces, e.g. with one backed by an SMTP client or an email API.
+ */
+export const sendMail = (message) => {
+    const { config, logger, mailTransport = createMailTransport(config.mail, logger) } = appContext();
+    return mailTransport.send({ from: config.mail.from, ...message });
+};
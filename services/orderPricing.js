@@ -0,0 +1,45 @@
+import Product from "../models/Product";
+
+// Prices are kept in currency units; round to cents to avoid floating point drift
+export const roundPrice = (value) => Math.round(value * 100) / 100;
+
+export const sumLineTotals = (lines) => roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+/**
+ * Turn the requested `{ productId, quantity }` items into order lines that snapshot
+ * the product name and unit price at order time.
+ *
+ * Resolves to `{ lines, totalPrice }`, or `{ invalidProductId }` for the first unknown product.
+ */
+export const buildOrderLines = async (items) => {
+    const productIds = [...new Set(items.map(item => item.productId.toString()))];
+    const products = await Product.find({ _id: { $in: productIds } }).select("name price");
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = [];
+    for (const item of items) {
+        const product = productsById.get(item.productId.toString());
+        if (!product) return { invalidProductId: item.productId };
+
+        lines.push({
+            productId: product._id,
+            productName: product.name,
+            unitPrice: product.price,
+            quantity: item.quantity,
+            lineTotal: roundPrice(product.price * item.quantity)
+        });
+    }
+
+    return { lines, totalPrice: sumLineTotals(lines) };
+};
+
+/**
+ * For lean orders whose `items.productId` was populated: expose the product's current price
+ * next to the snapshotted `unitPrice`.
+ */
+export const withCurrentPrices = (order) => {
+    for (const item of order.items || []) {
+        item.currentPrice = item.productId && item.productId.price !== undefined ? item.productId.price : null;
+    }
+    return order;
+};
@@ -0,0 +1,117 @@
+import Order from "../models/Order";
+import { withCurrentPrices } from "./orderPricing";
+import { activeOnly } from "../utils/softDelete";
+
+// Query language of GET /orders. The parameters are validated by SCHEMAS.listOrders.
+
+// Fields `sort` accepts; each one is indexed on Order
+export const ORDER_SORT_FIELDS = ["createdAt", "totalPrice", "status", "clientId"];
+
+// Fields `fields` accepts, and the document paths they select. `id` is always returned.
+const ORDER_FIELD_PATHS = {
+    id: "_id",
+    client: "clientId",
+    items: "items",
+    totalPrice: "totalPrice",
+    status: "status",
+    statusHistory: "statusHistory",
+    createdAt: "createdAt",
+    deletedAt: "deletedAt",
+    deletedBy: "deletedBy",
+};
+export const ORDER_FIELDS = Object.keys(ORDER_FIELD_PATHS);
+
+// Relations `expand` can populate. Both are populated when `expand` is not sent.
+export const ORDER_EXPANSIONS = ["client", "products"];
+
+/**
+ * MongoDB filter for the listing parameters.
+ */
+export const buildOrderFilter = ({ status, clientId, productId, minTotal, maxTotal, createdFrom, createdTo, includeDeleted }) => {
+    const filter = activeOnly({}, includeDeleted);
+
+    if (status && status.length) filter.status = { $in: status };
+    if (clientId) filter.clientId = clientId;
+    if (productId) filter["items.productId"] = productId;
+    if (minTotal !== undefined || maxTotal !== undefined) {
+        filter.totalPrice = {};
+        if (minTotal !== undefined) filter.totalPrice.$gte = minTotal;
+        if (maxTotal !== undefined) filter.totalPrice.$lte = maxTotal;
+    }
+    if (createdFrom || createdTo) {
+        filter.createdAt = {};
+        if (createdFrom) filter.createdAt.$gte = createdFrom;
+        if (createdTo) filter.createdAt.$lte = createdTo;
+    }
+    return filter;
+};
+
+/**
+ * Sort specification for `sort` (e.g. ["-totalPrice", "createdAt"]). `_id` is always added last,
+ * in the direction of the last field, so that orders with equal values keep a stable order.
+ */
+export const buildOrderSort = (sort = []) => {
+    const spec = {};
+    for (const entry of sort) {
+        const field = entry.replace(/^-/, "");
+        if (!(field in spec)) spec[field] = entry.startsWith("-") ? -1 : 1;
+    }
+    const directions = Object.values(spec);
+    spec._id = directions.length ? directions[directions.length - 1] : 1;
+    return spec;
+};
+
+/**
+ * Projection for `fields`, or everything but `__v` when it was not sent. `extraPaths` are selected
+ * as well (e.g. the sort fields a cursor is built from); formatListedOrder drops them again.
+ */
+export const buildOrderProjection = (fields, extraPaths = []) => {
+    if (!fields || !fields.length) return "-__v";
+    return Object.fromEntries([...fields.map(field => ORDER_FIELD_PATHS[field]), ...extraPaths].map(path => [path, 1]));
+};
+
+// Newest last, with `_id` breaking ties, so that offset pages don't overlap or skip orders
+export const DEFAULT_ORDER_SORT = { createdAt: 1, _id: 1 };
+
+/**
+ * One order with its client, products and status history populated, as GET /orders/{id} and
+ * GET /clients/{clientId}/orders/{orderId} return it. Resolves to null when there is none.
+ */
+export const findOrderDetail = filter => Order.findOne(filter)
+    .populate("clientId", "name email deletedAt")
+    .populate("items.productId", "name price")
+    .populate("statusHistory.changedBy", "name email")
+    .lean();
+
+// Reshapes an order from findOrderDetail: `_id` becomes `id`, items show their product's `currentPrice`
+export const formatOrderDetail = (order) => {
+    const { __v, _id, ...body } = withCurrentPrices(order);
+    return { id: _id, ...body };
+};
+
+/**
+ * Reshapes a lean, listed order: `_id` becomes `id`, and a populated `clientId` becomes `client`.
+ * When `fields` is given, paths that were not asked for are removed.
+ */
+export const formatListedOrder = (order, expand = ORDER_EXPANSIONS, fields = []) => {
+    if (fields.length) {
+        const requested = fields.map(field => ORDER_FIELD_PATHS[field]);
+        for (const path of Object.keys(order)) {
+            if (path !== "_id" && !requested.includes(path)) delete order[path];
+        }
+    }
+    if (expand.includes("products")) withCurrentPrices(order);
+
+    order.id = order._id;
+    delete order._id;
+
+    if (expand.includes("client") && "clientId" in order) {
+        order.client = order.clientId;
+        if (order.client) {
+            order.client.id = order.client._id;
+            delete order.client._id;
+        }
+        delete order.clientId;
+    }
+    return order;
+};
@@ -0,0 +1,150 @@
+import Order from "../models/Order";
+import Client from "../models/Client";
+import { historyEntry } from "./orderStatus";
+import { reserveStock, releaseStock, adjustReservation } from "./inventory";
+import { buildOrderLines } from "./orderPricing";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors";
+import { assertVersion, preconditionFailed } from "../utils/etag";
+import { recordAudit } from "./audit";
+import { activeOnly, deletedOnly } from "../utils/softDelete";
+import { currentDate } from "../utils/appContext";
+
+// Shared by /orders and /clients/:clientId/orders. Callers pass the filter that scopes the order
+// and the userId of the caller, which is recorded in the audit log. Deleted orders never match.
+
+const priceItems = async (items) => {
+    const { lines, totalPrice, invalidProductId } = await buildOrderLines(items);
+    if (invalidProductId) {
+        throw new ValidationError(`Invalid product ID: ${invalidProductId}`, [{ field: "items", message: "Unknown product", value: invalidProductId }], "INVALID_PRODUCT");
+    }
+    return { lines, totalPrice };
+};
+
+const insufficientStock = (errors) => new ConflictError("Insufficient stock", errors, "INSUFFICIENT_STOCK");
+const notPending = () => new ConflictError("Only pending orders can be updated", undefined, "ORDER_NOT_PENDING");
+
+/**
+ * Price the items, reserve their stock and save a pending order.
+ */
+export const createOrder = async ({ clientId, items, userId }) => {
+    const { lines, totalPrice } = await priceItems(items);
+
+    const reservation = await reserveStock(lines);
+    if (!reservation.ok) throw insufficientStock(reservation.errors);
+
+    const order = new Order({
+        clientId,
+        items: lines,
+        totalPrice,
+        statusHistory: [historyEntry(null, "pending", userId)]
+    });
+    try {
+        await order.save();
+    } catch (err) {
+        await releaseStock(lines);
+        throw err;
+    }
+
+    await recordAudit({ actor: userId, action: "create", resource: "order", resourceId: order._id, after: order });
+    return order;
+};
+
+/**
+ * Replace the items of a pending order, adjusting the stock reservation by the difference.
+ * `versions` (see utils/etag) requires the order to still be at one of those versions.
+ */
+export const updateOrderItems = async (filter, items, { versions, userId } = {}) => {
+    filter = activeOnly(filter);
+    const existing = await Order.findOne(filter);
+    if (!existing) throw new NotFoundError("Order not found");
+    assertVersion(versions, existing.__v);
+    if (existing.status !== "pending") throw notPending();
+
+    const { lines, totalPrice } = await priceItems(items);
+
+    const reservation = await adjustReservation(existing.items, lines);
+    if (!reservation.ok) throw insufficientStock(reservation.errors);
+
+    const order = await Order.findOneAndUpdate(
+        { ...filter, status: "pending", ...(versions && { __v: existing.__v }) },
+        { items: lines, totalPrice, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!order) {
+        // The order left the pending state, or was modified, while we were reserving stock
+        await adjustReservation(lines, existing.items);
+        const latest = await Order.findOne(filter).select("status __v");
+        if (!latest) throw new NotFoundError("Order not found");
+        if (versions && latest.__v !== existing.__v) throw preconditionFailed(latest.__v);
+        throw notPending();
+    }
+
+    await recordAudit({ actor: userId, action: "update", resource: "order", resourceId: order._id, before: existing, after: order });
+    return order;
+};
+
+/**
+ * Soft delete an order. Stock reserved by a pending order is released.
+ * `deletedAt` lets a cascading client delete stamp its orders with the client's deletion time.
+ */
+export const deleteOrder = async (filter, { userId, deletedAt = currentDate() } = {}) => {
+    const order = await Order.findOneAndUpdate(
+        activeOnly(filter),
+        { deletedAt, deletedBy: userId, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!order) throw new NotFoundError("Order not found");
+    if (order.status === "pending") await releaseStock(order.items);
+
+    await recordAudit({
+        actor: userId,
+        action: "delete",
+        resource: "order",
+        resourceId: order._id,
+        before: { deletedAt: null, deletedBy: null },
+        after: { deletedAt: order.deletedAt, deletedBy: order.deletedBy },
+    });
+    return order;
+};
+
+/**
+ * Bring back a soft deleted order. A pending order reserves its stock again, so the restore
+ * fails with INSUFFICIENT_STOCK when the stock has been ordered by someone else in the meantime.
+ * The order's client must not be deleted.
+ */
+export const restoreOrder = async (filter, { userId } = {}) => {
+    const deleted = await Order.findOne(deletedOnly(filter));
+    if (!deleted) throw new NotFoundError("Deleted order not found");
+
+    const clientExists = await Client.exists(activeOnly({ _id: deleted.clientId }));
+    if (!clientExists) {
+        throw new ConflictError("The order's client is deleted, restore the client first", { clientId: deleted.clientId }, "CLIENT_DELETED");
+    }
+
+    const reserves = deleted.status === "pending";
+    if (reserves) {
+        const reservation = await reserveStock(deleted.items);
+        if (!reservation.ok) throw insufficientStock(reservation.errors);
+    }
+
+    // Conditional on the deletion that was read, so a concurrent restore cannot reserve twice
+    const order = await Order.findOneAndUpdate(
+        { _id: deleted._id, deletedAt: deleted.deletedAt },
+        { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!order) {
+        if (reserves) await releaseStock(deleted.items);
+        throw new NotFoundError("Deleted order not found");
+    }
+
+    await recordAudit({
+        actor: userId,
+        action: "restore",
+        resource: "order",
+        resourceId: order._id,
+        before: { deletedAt: deleted.deletedAt, deletedBy: deleted.deletedBy },
+        after: { deletedAt: null, deletedBy: null },
+    });
+    return order;
+};
@@ -0,0 +1,70 @@
+import Order from "../models/Order";
+import { releaseStock } from "./inventory";
+import { NotFoundError, ConflictError } from "../utils/errors";
+import { assertVersion, preconditionFailed } from "../utils/etag";
+import { recordAudit } from "./audit";
+import { activeOnly } from "../utils/softDelete";
+import { currentDate } from "../utils/appContext";
+
+// Allowed status transitions: current status -> statuses it may move to
+export const TRANSITIONS = {
+    pending: ["shipped", "canceled"],
+    shipped: ["delivered"],
+    delivered: [],
+    canceled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const invalidTransition = (from, to) =>
+    new ConflictError(`Cannot change order status from ${from} to ${to}`, { from, to, allowed: TRANSITIONS[from] || [] }, "INVALID_STATUS_TRANSITION");
+
+export const historyEntry = (from, to, userId) => ({ from, to, changedBy: userId, changedAt: currentDate() });
+
+// Audit log action for a move to each status
+const AUDIT_ACTIONS = { shipped: "ship", delivered: "deliver", canceled: "cancel" };
+
+/**
+ * Move the order matching `filter` to status `to` on behalf of `userId`. Deleted orders never match.
+ * The update is conditional on the status that was read, so two concurrent transitions
+ * cannot both succeed. Canceling an order releases the stock it reserved.
+ * `versions` (see utils/etag) additionally requires the order to still be at one of those versions.
+ *
+ * Throws a NotFoundError, a PreconditionFailedError for a stale version, or a ConflictError
+ * when the transition is not allowed.
+ */
+export const transitionOrder = async (filter, to, userId, { versions } = {}) => {
+    filter = activeOnly(filter);
+    const current = await Order.findOne(filter).select("status __v");
+    if (!current) throw new NotFoundError("Order not found");
+    assertVersion(versions, current.__v);
+    if (!canTransition(current.status, to)) throw invalidTransition(current.status, to);
+
+    const order = await Order.findOneAndUpdate(
+        { ...filter, status: current.status, ...(versions && { __v: current.__v }) },
+        { $set: { status: to }, $push: { statusHistory: historyEntry(current.status, to, userId) }, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!order) {
+        // Someone else changed the order in the meantime
+        const latest = await Order.findOne(filter).select("status __v");
+        if (!latest) throw new NotFoundError("Order not found");
+        if (versions && latest.__v !== current.__v) throw preconditionFailed(latest.__v);
+        throw invalidTransition(latest.status, to);
+    }
+
+    if (to === "canceled") await releaseStock(order.items);
+
+    await recordAudit({
+        actor: userId,
+        action: AUDIT_ACTIONS[to],
+        resource: "order",
+        resourceId: order._id,
+        before: { status: current.status },
+        after: { status: to },
+    });
+
+    return order;
+};
@@ -0,0 +1,87 @@
+import RateLimitCounter from "../models/RateLimitCounter";
+import { systemClock } from "../utils/clock";
+
+/**
+ * Rate limit stores count requests per key in fixed windows. A store has:
+ * - `increment(key, windowMs)`: counts a request, resolves to `{ count, resetAt }` for the current window
+ * - `decrement(key)`: takes back a request counted in the current window
+ * - `reset()`: forgets every counter, used by POST /test/reset
+ * - optionally `close()`: releases its resources when the app stops
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters in this process only. Each instance limits on its own, so use the Mongo store with several instances.
+export const createMemoryStore = ({ clock = systemClock } = {}) => {
+    const windows = new Map();
+
+    const sweep = setInterval(() => {
+        const now = clock.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt.getTime() <= now) windows.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = clock.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt.getTime() <= now) {
+                window = { count: 0, resetAt: new Date(now + windowMs) };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        async decrement(key) {
+            const window = windows.get(key);
+            if (window && window.count > 0) window.count--;
+        },
+        async reset() {
+            windows.clear();
+        },
+        close() {
+            clearInterval(sweep);
+        },
+    };
+};
+
+// Counters shared by every instance through the RateLimitCounter collection; a TTL index removes expired windows
+export const createMongoStore = ({ clock = systemClock } = {}) => ({
+    async increment(key, windowMs, attempts = 3) {
+        const now = new Date(clock.now());
+        const current = await RateLimitCounter.findOneAndUpdate({ key, resetAt: { $gt: now } }, { $inc: { count: 1 } }, { new: true });
+        if (current) return { count: current.count, resetAt: current.resetAt };
+
+        // No window yet, or an expired one: start a new window
+        try {
+            const started = await RateLimitCounter.findOneAndUpdate(
+                { key, resetAt: { $lte: now } },
+                { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+                { new: true, upsert: true }
+            );
+            return { count: started.count, resetAt: started.resetAt };
+        } catch (err) {
+            // Another request started the window first
+            if (err.code !== 11000 || attempts <= 1) throw err;
+            return this.increment(key, windowMs, attempts - 1);
+        }
+    },
+    async decrement(key) {
+        await RateLimitCounter.updateOne({ key, resetAt: { $gt: new Date(clock.now()) }, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    },
+    async reset() {
+        await RateLimitCounter.deleteMany({});
+    },
+});
+
+const STORES = { memory: createMemoryStore, mongo: createMongoStore };
+
+/**
+ * The store named by RATE_LIMIT_STORE: `memory` or `mongo`. `options.clock` replaces the real time.
+ */
+export const createRateLimitStore = (name, options = {}) => {
+    if (!STORES[name]) throw new Error(`Unknown rate limit store: ${name}`);
+    return STORES[name](options);
+};
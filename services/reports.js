@@ -0,0 +1,93 @@
+import Order from "../models/Order";
+import Client from "../models/Client";
+import { ORDER_STATUSES } from "./orderStatus";
+
+// Sales reports over orders, built as aggregation pipelines. Soft deleted orders are never counted.
+
+export const REPORT_INTERVALS = ["day", "week", "month"];
+
+// Canceled orders never brought in money, so revenue reports leave them out unless `status` asks for them
+export const REVENUE_STATUSES = ORDER_STATUSES.filter(status => status !== "canceled");
+
+// Money is kept in currency units; round aggregated amounts to cents
+const cents = expression => ({ $round: [expression, 2] });
+
+const matchOrders = ({ from, to, status }) => {
+    const match = { deletedAt: null, status: { $in: status } };
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = from;
+        if (to) match.createdAt.$lte = to;
+    }
+    return { $match: match };
+};
+
+/**
+ * Orders and revenue per day, ISO week (starting on Monday) or calendar month, in UTC.
+ */
+export const revenueReport = ({ interval, ...filters }) => Order.aggregate([
+    matchOrders(filters),
+    { $group: { _id: { $dateTrunc: { date: "$createdAt", unit: interval, startOfWeek: "monday" } }, orders: { $sum: 1 }, revenue: { $sum: "$totalPrice" } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", orders: 1, revenue: cents("$revenue") } },
+]);
+
+/**
+ * Orders and their value per status. Statuses without orders are listed with zeros.
+ */
+export const ordersByStatusReport = async (filters) => {
+    const rows = await Order.aggregate([
+        matchOrders(filters),
+        { $group: { _id: "$status", orders: { $sum: 1 }, revenue: { $sum: "$totalPrice" } } },
+        { $project: { _id: 0, status: "$_id", orders: 1, revenue: cents("$revenue") } },
+    ]);
+    const byStatus = new Map(rows.map(row => [row.status, row]));
+    return filters.status.map(status => byStatus.get(status) || { status, orders: 0, revenue: 0 });
+};
+
+/**
+ * The `limit` clients who spent the most, with their name and email.
+ */
+export const topClientsReport = ({ limit, ...filters }) => Order.aggregate([
+    matchOrders(filters),
+    { $group: { _id: "$clientId", orders: { $sum: 1 }, revenue: { $sum: "$totalPrice" } } },
+    { $sort: { revenue: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: Client.collection.name, localField: "_id", foreignField: "_id", as: "client" } },
+    { $unwind: { path: "$client", preserveNullAndEmptyArrays: true } },
+    { $project: { _id: 0, clientId: "$_id", name: "$client.name", email: "$client.email", orders: 1, revenue: cents("$revenue") } },
+]);
+
+/**
+ * The `limit` products sold in the largest quantities. The name is the one snapshotted on the most recent order.
+ */
+export const topProductsReport = ({ limit, ...filters }) => Order.aggregate([
+    matchOrders(filters),
+    { $unwind: "$items" },
+    { $sort: { createdAt: -1 } },
+    {
+        $group: {
+            _id: "$items.productId",
+            productName: { $first: "$items.productName" },
+            quantity: { $sum: "$items.quantity" },
+            // An order can list the same product on several lines, so count distinct orders
+            orderIds: { $addToSet: "$_id" },
+            revenue: { $sum: "$items.lineTotal" },
+        },
+    },
+    { $sort: { quantity: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, productId: "$_id", productName: 1, quantity: 1, orders: { $size: "$orderIds" }, revenue: cents("$revenue") } },
+]);
+
+/**
+ * Number of orders, their total value and the average order value.
+ */
+export const averageOrderValueReport = async (filters) => {
+    const [row] = await Order.aggregate([
+        matchOrders(filters),
+        { $group: { _id: null, orders: { $sum: 1 }, revenue: { $sum: "$totalPrice" }, averageOrderValue: { $avg: "$totalPrice" } } },
+        { $project: { _id: 0, orders: 1, revenue: cents("$revenue"), averageOrderValue: cents("$averageOrderValue") } },
+    ]);
+    return row || { orders: 0, revenue: 0, averageOrderValue: 0 };
+};
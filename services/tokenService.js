@@ -0,0 +1,159 @@
+import { createHash, randomBytes, randomUUID } from "crypto";
+import { decode, sign, verify } from "jsonwebtoken";
+import User from "../models/User";
+import RefreshToken from "../models/RefreshToken";
+import RevokedToken from "../models/RevokedToken";
+import { appContext, currentDate, currentTime } from "../utils/appContext";
+
+const secretOf = (kid) => {
+  const key = appContext().config.jwt.keys.find(candidate => candidate.kid === kid);
+  return key && key.secret;
+};
+
+// Seconds since the epoch on the context's clock, the unit of `iat` and `exp`
+const clockSeconds = () => Math.floor(currentTime() / 1000);
+
+export const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+export const issueAccessToken = (user) => {
+  const { jwt } = appContext().config;
+  return sign({ userId: user._id, role: user.role, tv: user.tokenVersion, iat: clockSeconds() }, secretOf(jwt.signingKid), {
+    expiresIn: jwt.accessTokenTtlSeconds,
+    jwtid: randomUUID(),
+    keyid: jwt.signingKid,
+  });
+};
+
+// Checks the signature with the key named by the token's `kid`, so tokens signed with a key that
+// is being rotated out stay valid as long as that key is configured. Throws like jsonwebtoken's verify.
+const verifyWithKid = (token) => {
+  const decoded = decode(token, { complete: true });
+  const secret = decoded && secretOf(decoded.header.kid);
+  if (!secret) throw new Error("Unknown signing key");
+  return verify(token, secret, { algorithms: ["HS256"], clockTimestamp: clockSeconds() });
+};
+
+const issueRefreshToken = async (user, family = randomUUID()) => {
+  const token = randomBytes(48).toString("base64url");
+  const doc = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(currentTime() + appContext().config.jwt.refreshTokenTtlMs),
+  });
+  return { token, doc };
+};
+
+/**
+ * Issue a new access/refresh token pair. Pass `family` to continue an existing refresh chain.
+ */
+export const issueTokens = async (user, family) => {
+  const refresh = await issueRefreshToken(user, family);
+  return { token: issueAccessToken(user), refreshToken: refresh.token, refreshTokenDoc: refresh.doc };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is revoked atomically,
+ * so each refresh token can be used once. Presenting a token that was already rotated is
+ * treated as theft: the whole family is revoked.
+ *
+ * Resolves to `{ status: "ok", tokens }`, `{ status: "reused" }` or `{ status: "invalid" }`.
+ */
+export const rotateRefreshToken = async (presentedToken) => {
+  const tokenHash = hashToken(presentedToken);
+  const now = currentDate();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedAt) {
+      await RefreshToken.updateMany({ family: existing.family, revokedAt: null }, { revokedAt: now });
+      return { status: "reused" };
+    }
+    return { status: "invalid" };
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user) return { status: "invalid" };
+
+  const tokens = await issueTokens(user, current.family);
+  current.replacedBy = tokens.refreshTokenDoc._id;
+  await current.save();
+
+  return { status: "ok", tokens: { token: tokens.token, refreshToken: tokens.refreshToken } };
+};
+
+/**
+ * Revoke the refresh token family the given token belongs to, provided it is owned by `userId`.
+ */
+export const revokeRefreshToken = async (presentedToken, userId) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken), userId });
+  if (!existing) return false;
+
+  await RefreshToken.updateMany({ family: existing.family, revokedAt: null }, { revokedAt: currentDate() });
+  return true;
+};
+
+/**
+ * Add an access token to the denylist until it expires.
+ */
+export const revokeAccessToken = async (decoded) => {
+  if (!decoded.jti) return;
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { $setOnInsert: { userId: decoded.userId, expiresAt: new Date(decoded.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Log a user out of every session: bumps the token version embedded in access tokens
+ * and revokes all of the user's refresh tokens.
+ */
+export const revokeAllSessions = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+  if (!user) return null;
+
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: currentDate() });
+  return user;
+};
+
+/**
+ * Verify an access token's signature and expiry only, without the revocation checks (no database
+ * access). Resolves to the decoded payload or null. Only for identifying the caller, e.g. to rate
+ * limit it; access is granted by verifyAccessToken.
+ */
+export const decodeAccessToken = (token) => {
+  try {
+    return verifyWithKid(token);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Verify an access token's signature and expiry, then make sure it was not revoked.
+ * Resolves to the decoded payload, or null when the token must be rejected.
+ */
+export const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyWithKid(token);
+  } catch (err) {
+    return null;
+  }
+
+  const [revoked, user] = await Promise.all([
+    decoded.jti ? RevokedToken.exists({ jti: decoded.jti }) : null,
+    User.findById(decoded.userId).select("tokenVersion").lean(),
+  ]);
+  if (revoked || !user) return null;
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+
+  return decoded;
+};
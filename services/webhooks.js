@@ -0,0 +1,154 @@
+import { createHmac, randomBytes } from "crypto";
+import Webhook from "../models/Webhook";
+import WebhookDelivery from "../models/WebhookDelivery";
+import { appContext, runInContext, currentDate, currentTime } from "../utils/appContext";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+    "order.created",
+    "order.updated",
+    "order.status_changed",
+    "order.canceled",
+    "order.deleted",
+    "client.created",
+    "client.updated",
+    "client.deleted",
+];
+
+// WEBHOOK_MAX_ATTEMPTS (automatic attempts per delivery, the first one included),
+// WEBHOOK_RETRY_BASE_SECONDS and WEBHOOK_TIMEOUT_SECONDS of the app
+const settings = () => appContext().config.webhooks;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const timeoutMs = () => settings().timeoutSeconds * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+// A delivery being attempted is hidden from the retry worker for this long
+const leaseMs = () => 2 * timeoutMs();
+
+export const generateWebhookSecret = () => randomBytes(32).toString("hex");
+
+/**
+ * Hex HMAC-SHA256 of `<timestamp>.<body>`, sent as `X-Webhook-Signature: sha256=<signature>`.
+ * Receivers recompute it with their secret and the `X-Webhook-Timestamp` header.
+ */
+export const signPayload = (secret, timestamp, body) => createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Wait before the automatic attempt that follows attempt `attempt`: 30s, 1m, 2m, 4m, ... capped at 6 hours
+export const retryDelay = (attempt) => Math.min(settings().retryBaseSeconds * 1000 * 2 ** (attempt - 1), RETRY_MAX_MS);
+
+// POSTs the delivery's payload once. Resolves to the attempt to log, with `ok` for a 2xx response.
+const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(currentTime() / 1000);
+    const at = currentDate();
+    const started = Date.now();
+    const timeout = timeoutMs();
+    try {
+        const response = await fetch(webhook.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Webhook-Id": delivery._id.toString(),
+                "X-Webhook-Event": delivery.event,
+                "X-Webhook-Timestamp": String(timestamp),
+                "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            },
+            body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeout),
+        });
+        // Only the status is logged
+        if (response.body) await response.body.cancel();
+        return { ok: response.ok, at, statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - started };
+    } catch (err) {
+        const error = err.name === "TimeoutError" ? `No response within ${timeout} ms` : (err.cause && err.cause.message) || err.message;
+        return { ok: false, at, statusCode: null, error, durationMs: Date.now() - started };
+    }
+};
+
+// Makes one automatic attempt and schedules the next one, or gives up after WEBHOOK_MAX_ATTEMPTS
+const attempt = async (delivery, webhook) => {
+    const { ok, ...result } = await send(webhook, delivery);
+    const attempts = delivery.attempts.filter(previous => !previous.manual).length + 1;
+
+    let next;
+    if (ok) next = { status: "succeeded", nextAttemptAt: null };
+    else if (attempts >= settings().maxAttempts) next = { status: "failed", nextAttemptAt: null };
+    else next = { nextAttemptAt: new Date(currentTime() + retryDelay(attempts)) };
+
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, { $push: { attempts: result }, $set: next }, { new: true });
+};
+
+const logFailure = (message) => (err) => appContext().logger.error(message, err);
+
+/**
+ * Queues `event` for every active webhook subscribed to it and makes the first attempts in the
+ * background. `data` is the resource as the API returns it. Errors are logged rather than thrown,
+ * so a webhook problem never fails the request that raised the event.
+ *
+ * Each delivery POSTs `{ id, event, createdAt, data }`; `id` stays the same across retries.
+ */
+export const emitEvent = async (event, data) => {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: event });
+        const createdAt = currentDate();
+        for (const webhook of webhooks) {
+            // Leased until the first attempt is done, so that the retry worker leaves it alone
+            const delivery = new WebhookDelivery({ webhookId: webhook._id, event, createdAt, nextAttemptAt: new Date(createdAt.getTime() + leaseMs()) });
+            delivery.payload = { id: delivery._id.toString(), event, createdAt, data: JSON.parse(JSON.stringify(data)) };
+            await delivery.save();
+            attempt(delivery, webhook).catch(logFailure(`Failed to deliver ${event} to webhook ${webhook._id}:`));
+        }
+    } catch (err) {
+        logFailure(`Failed to queue webhook event ${event}:`)(err);
+    }
+};
+
+/**
+ * Sends a delivery again right away, whatever its status. The attempt is logged as manual and
+ * doesn't count towards WEBHOOK_MAX_ATTEMPTS; a success marks the delivery as succeeded.
+ */
+export const redeliver = async (webhook, delivery) => {
+    const { ok, ...result } = await send(webhook, delivery);
+    const update = { $push: { attempts: { ...result, manual: true } } };
+    if (ok) update.$set = { status: "succeeded", nextAttemptAt: null };
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+// Claims due deliveries one at a time and attempts them, until none is due
+const processDueDeliveries = async () => {
+    for (;;) {
+        const now = currentDate();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { status: "pending", nextAttemptAt: { $lte: now } },
+            { nextAttemptAt: new Date(now.getTime() + leaseMs()) },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) return;
+
+        const webhook = await Webhook.findById(delivery.webhookId);
+        if (!webhook || !webhook.active) {
+            await WebhookDelivery.updateOne({ _id: delivery._id }, { status: "failed", nextAttemptAt: null });
+            continue;
+        }
+        await attempt(delivery, webhook);
+    }
+};
+
+/**
+ * Polls for deliveries whose retry is due, with the connection and settings of `context` (an
+ * app's locals, see utils/appContext.js), until `stop()` is called on the worker it returns.
+ * Safe to run in several apps or processes, each delivery is claimed by one of them at a time.
+ */
+export const startWebhookWorker = (context, intervalMs = POLL_INTERVAL_MS) => {
+    let running = false;
+    const timer = setInterval(() => {
+        if (running) return;
+        running = true;
+        runInContext(context, () => processDueDeliveries()
+            .catch(logFailure("Webhook retry worker failed:"))
+            .finally(() => { running = false; }));
+    }, intervalMs);
+    timer.unref();
+
+    return { stop: () => clearInterval(timer) };
+};
@@ -1,12 +1,31 @@
 import swaggerJsDoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
+import { requestBodySchemas } from "./validation/openapi";
 
 const swaggerDefinition = {
     openapi: "3.0.0",
     info: {
         title: "API Documentation",
         version: "1.0.0",
-        description: "API for authentication, clients, and orders",
+        description: [
+            "API for authentication, clients, and orders.",
+            "",
+            "Errors are returned as `{ \"error\": { \"code\", \"message\", \"details\" } }`. Codes:",
+            "- `VALIDATION_ERROR`, `INVALID_ID`, `INVALID_JSON`, `INVALID_CLIENT`, `INVALID_PRODUCT`, `INVALID_IDEMPOTENCY_KEY`, `INVALID_CURSOR`, `INVALID_CSV`, `INVALID_VERIFICATION_TOKEN`, `INVALID_RESET_TOKEN`, `INVALID_CURRENT_PASSWORD` (400)",
+            "- `UNAUTHORIZED`, `INVALID_TOKEN`, `INVALID_CREDENTIALS`, `INVALID_REFRESH_TOKEN`, `REFRESH_TOKEN_REUSED` (401)",
+            "- `FORBIDDEN`, `EMAIL_NOT_VERIFIED` (403)",
+            "- `NOT_FOUND`, `ROUTE_NOT_FOUND` (404)",
+            "- `CONFLICT`, `DUPLICATE_KEY`, `EMAIL_IN_USE`, `INSUFFICIENT_STOCK`, `ORDER_NOT_PENDING`, `INVALID_STATUS_TRANSITION`, `IDEMPOTENCY_REQUEST_IN_PROGRESS`, `CLIENT_HAS_ORDERS`, `CLIENT_DELETED` (409)",
+            "- `PRECONDITION_FAILED` (412)",
+            "- `PAYLOAD_TOO_LARGE` (413)",
+            "- `UNSUPPORTED_MEDIA_TYPE` (415)",
+            "- `IDEMPOTENCY_KEY_REUSED` (422)",
+            "- `ACCOUNT_LOCKED` (423)",
+            "- `RATE_LIMITED` (429)",
+            "- `INTERNAL_ERROR` (500)",
+            "",
+            "Every endpoint is rate limited and returns `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers. Over the limit it answers 429 `RATE_LIMITED` with `Retry-After`.",
+        ].join("\n"),
     },
     components: {
         securitySchemes: {
@@ -16,6 +35,159 @@ const swaggerDefinition = {
                 bearerFormat: "JWT",
             },
         },
+        schemas: {
+            // Every error response uses this envelope, see middleware/errorHandler.js
+            Error: {
+                type: "object",
+                properties: {
+                    error: {
+                        type: "object",
+                        required: ["code", "message"],
+                        properties: {
+                            code: {
+                                type: "string",
+                                description: "Stable machine readable error code",
+                                example: "VALIDATION_ERROR",
+                            },
+                            message: {
+                                type: "string",
+                                description: "Human readable description",
+                                example: "Validation failed",
+                            },
+                            details: {
+                                description: "Optional structured context, e.g. the invalid fields",
+                                example: [{ field: "email", message: "Valid email is required" }],
+                            },
+                        },
+                    },
+                },
+            },
+            // Reported by the health endpoints, see services/health.js
+            BuildInfo: {
+                type: "object",
+                properties: {
+                    version: { type: "string", example: "1.0.0" },
+                    commit: { type: "string", nullable: true, description: "GIT_COMMIT, when set" },
+                    environment: { type: "string", enum: ["development", "test", "production"] },
+                    startedAt: { type: "string", format: "date-time" },
+                    uptimeSeconds: { type: "integer" },
+                },
+            },
+            Readiness: {
+                type: "object",
+                properties: {
+                    status: { type: "string", enum: ["ok", "unavailable"] },
+                    reason: { type: "string", description: "Set while shutting down", example: "Shutting down" },
+                    checks: {
+                        type: "object",
+                        properties: {
+                            database: {
+                                type: "object",
+                                properties: {
+                                    status: { type: "string", enum: ["up", "down"] },
+                                    latencyMs: { type: "integer" },
+                                    error: { type: "string" },
+                                },
+                            },
+                        },
+                    },
+                    build: { $ref: "#/components/schemas/BuildInfo" },
+                },
+            },
+            // Request bodies generated from the validation schemas, see validation/schemas.js
+            ...requestBodySchemas(),
+        },
+        parameters: {
+            IdempotencyKey: {
+                in: "header",
+                name: "Idempotency-Key",
+                required: false,
+                schema: { type: "string", maxLength: 255 },
+                description: "Makes the request safe to retry: the first response is stored for this key and replayed, with an `Idempotent-Replayed: true` header, on later requests by the same user.",
+            },
+            IncludeDeleted: {
+                in: "query",
+                name: "includeDeleted",
+                required: false,
+                schema: { type: "boolean", default: false },
+                description: "Also return soft deleted records, which carry `deletedAt` and `deletedBy`.",
+            },
+            Cursor: {
+                in: "query",
+                name: "cursor",
+                required: false,
+                schema: { type: "string" },
+                description: "Switches to cursor pagination: send an empty `cursor=` for the first page, then the `nextCursor` or `prevCursor` of the previous response. `page` is ignored. Keep the other query parameters unchanged between pages.",
+            },
+            Count: {
+                in: "query",
+                name: "count",
+                required: false,
+                schema: { type: "boolean" },
+                description: "Whether to count the matching records into `total`. Defaults to true with `page` and to false with `cursor`.",
+            },
+            ReportFrom: {
+                in: "query",
+                name: "from",
+                required: false,
+                schema: { type: "string", format: "date-time" },
+                description: "Only orders created at or after this time",
+            },
+            ReportTo: {
+                in: "query",
+                name: "to",
+                required: false,
+                schema: { type: "string", format: "date-time" },
+                description: "Only orders created at or before this time",
+            },
+            ReportStatus: {
+                in: "query",
+                name: "status",
+                required: false,
+                style: "form",
+                explode: false,
+                schema: { type: "array", items: { type: "string", enum: ["pending", "shipped", "delivered", "canceled"] } },
+                description: "Only orders in one of these statuses. Defaults to every status but `canceled`, except for the by-status report.",
+            },
+            ReportFormat: {
+                in: "query",
+                name: "format",
+                required: false,
+                schema: { type: "string", enum: ["json", "csv"], default: "json" },
+                description: "`csv` returns the rows as a `text/csv` attachment instead of JSON.",
+            },
+            IfMatch: {
+                in: "header",
+                name: "If-Match",
+                required: false,
+                schema: { type: "string", example: "\"3\"" },
+                description: "Only apply the change if the resource is still at this ETag (version); otherwise 412 `PRECONDITION_FAILED`. Weak `W/` tags never match.",
+            },
+            IfNoneMatch: {
+                in: "header",
+                name: "If-None-Match",
+                required: false,
+                schema: { type: "string", example: "\"3\"" },
+                description: "Respond with 304 Not Modified if the resource is still at this ETag (version).",
+            },
+        },
+        responses: {
+            Unauthorized: {
+                description: "Missing or invalid token (`UNAUTHORIZED`, `INVALID_TOKEN`)",
+                content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+            },
+            Forbidden: {
+                description: "The user's role does not grant access to this endpoint (`FORBIDDEN`)",
+                content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+            },
+            TooManyRequests: {
+                description: "Rate limit exceeded (`RATE_LIMITED`). `Retry-After` gives the seconds until the window resets.",
+                headers: {
+                    "Retry-After": { schema: { type: "integer" }, description: "Seconds to wait before retrying" },
+                },
+                content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+            },
+        },
     },
     security: [{ BearerAuth: [] }], // 👈 Apply globally (optional)
 };
@@ -27,5 +199,5 @@ const options = {
 
 const swaggerDocs = swaggerJsDoc(options);
 
-export default { swaggerUi, swaggerDocs };
-// The swaggerDocs object is passed to the swaggerUi middleware in index.js to serve the Swagger UI.
\ No newline at end of file
+export { swaggerUi, swaggerDocs };
+// The swaggerDocs object is passed to the swaggerUi middleware in app.js to serve the Swagger UI.
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import { errorHandler } from "../middleware/errorHandler";
+
+// Answers GET / by passing `err` to the error handler, and resolves to the response
+const respondWith = async (t, err) => {
+    const app = express();
+    app.locals.logger = { error: () => {} };
+    app.get("/", (req, res, next) => next(err));
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    return { status: res.status, body: await res.json() };
+};
+
+test("a malformed id is INVALID_ID", async (t) => {
+    const { status, body } = await respondWith(t, new mongoose.Error.CastError("ObjectId", "nope", "_id"));
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: { code: "INVALID_ID", message: "Invalid _id: \"nope\"", details: { field: "_id" } } });
+});
+
+test("a value of the wrong type for another field is a VALIDATION_ERROR on that field", async (t) => {
+    const { status, body } = await respondWith(t, new mongoose.Error.CastError("Number", "cheap", "price"));
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+        error: { code: "VALIDATION_ERROR", message: "Validation failed", details: [{ field: "price", message: "must be a number" }] },
+    });
+});
+
+test("an unexpected error is a 500 without its details", async (t) => {
+    const { status, body } = await respondWith(t, new Error("secret"));
+
+    assert.equal(status, 500);
+    assert.deepEqual(body, { error: { code: "INTERNAL_ERROR", message: "Internal server error" } });
+});
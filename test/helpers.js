@@ -0,0 +1,95 @@
+import { randomBytes } from "crypto";
+import mongoose from "mongoose";
+import { createApp } from "../app";
+import { loadConfig } from "../config";
+import { runInContext } from "../utils/appContext";
+import User from "../models/User";
+
+// Shared setup of the test files: apps built with createApp, each with its own clock and logger
+
+// A clock that only moves when told to
+export const createClock = (now = Date.UTC(2025, 0, 1)) => ({ now: () => now, advance: (ms) => { now += ms; } });
+
+// Keeps what is logged, one line per call
+export const createLogger = () => {
+    const lines = [];
+    const log = (...args) => lines.push(args.join(" "));
+    return { lines, info: log, warn: log, error: log };
+};
+
+// A connection that is never opened: queries fail right away instead of waiting for it
+export const createClosedConnection = () => {
+    const connection = mongoose.createConnection();
+    connection.config.bufferCommands = false;
+    return connection;
+};
+
+/**
+ * Builds an app with the test profile plus `env`, a clock, a logger and `connection` (by default
+ * one that is never opened). `run(fn)` runs `fn` in the app's context, as its requests are.
+ */
+export const createTestApp = (env = {}, { connection = createClosedConnection(), ...options } = {}) => {
+    const clock = createClock();
+    const logger = createLogger();
+    const app = createApp({ config: loadConfig({ NODE_ENV: "test", ...env }), connection, clock, logger, ...options });
+    return { app, connection, clock, logger, run: (fn) => runInContext(app.locals, fn) };
+};
+
+/**
+ * Listens on a free port until the test `t` ends. Resolves to `request(path, options)`, a fetch
+ * against the app that resolves to `{ status, headers, body }` (body parsed when it is JSON).
+ */
+export const serve = async (t, { app }) => {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => {
+        server.close();
+        if (app.locals.rateLimitStore.close) app.locals.rateLimitStore.close();
+    });
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return async (path, { body, headers = {}, ...options } = {}) => {
+        const res = await fetch(`${base}${path}`, {
+            ...options,
+            headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await res.text();
+        const json = (res.headers.get("content-type") || "").includes("application/json");
+        return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+    };
+};
+
+// The tests that need MongoDB run against TEST_MONGO_URI, e.g. mongodb://127.0.0.1:27017, each in a
+// database of its own that is dropped afterwards. Without it they are skipped.
+const MONGO_URI = process.env.TEST_MONGO_URI;
+
+export const needsMongo = { skip: MONGO_URI ? false : "set TEST_MONGO_URI to run the tests that need MongoDB" };
+
+/**
+ * Builds and serves an app (see createTestApp) on a fresh database seeded with `fixture`, until the
+ * test `t` ends. Resolves to the app's instance plus `request` (see serve) and `login(role)`, which
+ * resolves to the headers of a request made by the seeded user with that role.
+ */
+export const createSeededApp = async (t, { env, fixture = "minimal", ...options } = {}) => {
+    const connection = await mongoose.createConnection(MONGO_URI, { dbName: `apitest_${randomBytes(6).toString("hex")}` }).asPromise();
+    t.after(async () => {
+        await connection.dropDatabase();
+        await connection.close();
+    });
+
+    const instance = createTestApp(env, { connection, ...options });
+    // Using one model registers all of them on the connection; then wait for their indexes, unique keys rely on them
+    instance.run(() => User.db);
+    await Promise.all(Object.values(connection.models).map(model => model.init()));
+
+    const request = await serve(t, instance);
+    const { body: seeded } = await request("/test/reset", { method: "POST", body: { fixture, seed: 7 } });
+    const login = async (role) => {
+        const { email, password } = seeded.users.find(user => user.role === role);
+        const { body } = await request("/auth/login", { method: "POST", body: { email, password } });
+        return { Authorization: `Bearer ${body.token}` };
+    };
+    return { ...instance, request, login };
+};
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { idempotent } from "../middleware/idempotencyMiddleware";
+import { errorHandler } from "../middleware/errorHandler";
+import { createSeededApp, needsMongo } from "./helpers";
+import Order from "../models/Order";
+
+test("a key that is empty or too long is rejected before the store is reached", async (t) => {
+    const app = express();
+    app.post("/", idempotent, (req, res) => res.json({ passed: true }));
+    app.use(errorHandler);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const post = async (headers) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/`, { method: "POST", headers });
+        return { status: res.status, body: await res.json() };
+    };
+
+    for (const key of [" ", "k".repeat(256)]) {
+        const { status, body } = await post({ "Idempotency-Key": key });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "INVALID_IDEMPOTENCY_KEY");
+    }
+    assert.deepEqual((await post({})).body, { passed: true });
+});
+
+// Posts an order for the seeded client and product, as staff
+const ordering = async (t) => {
+    const instance = await createSeededApp(t);
+    const headers = await instance.login("staff");
+    const [client] = (await instance.request("/clients", { headers })).body.data;
+    const [product] = (await instance.request("/products", { headers })).body.data;
+    const order = (key, quantity = 1) => instance.request("/orders", {
+        method: "POST",
+        headers: { ...headers, "Idempotency-Key": key },
+        body: { clientId: client.id, items: [{ productId: product.id, quantity }] },
+    });
+    const countOrders = () => instance.run(() => Order.countDocuments());
+    return { order, countOrders };
+};
+
+test("a retried request gets the first response again without creating another order", needsMongo, async (t) => {
+    const { order, countOrders } = await ordering(t);
+    const before = await countOrders();
+
+    const first = await order("retry-1");
+    const retried = await order("retry-1");
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+    assert.equal(retried.status, 201);
+    assert.equal(retried.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retried.body, first.body);
+    assert.equal(await countOrders(), before + 1);
+});
+
+test("a key reused for a different request is IDEMPOTENCY_KEY_REUSED", needsMongo, async (t) => {
+    const { order, countOrders } = await ordering(t);
+
+    assert.equal((await order("reused-1", 1)).status, 201);
+    const before = await countOrders();
+    const reused = await order("reused-1", 2);
+
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.error.code, "IDEMPOTENCY_KEY_REUSED");
+    assert.equal(await countOrders(), before);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createTestApp, serve } from "./helpers";
+import { issueAccessToken, decodeAccessToken } from "../services/tokenService";
+import { setFaultEnabled, listFaults } from "../services/faultInjection";
+import { recordAudit } from "../services/audit";
+import { startWebhookWorker } from "../services/webhooks";
+import { historyEntry } from "../services/orderStatus";
+import Client from "../models/Client";
+import Order from "../models/Order";
+import User from "../models/User";
+
+// Two apps in one process, each with its own settings, connection, clock, logger and faults.
+// No MongoDB is needed: the connections are never opened.
+
+const user = { _id: new mongoose.Types.ObjectId(), role: "admin", tokenVersion: 0 };
+
+test("models use the connection of the app running the code", () => {
+    const a = createTestApp();
+    const b = createTestApp();
+
+    assert.equal(a.run(() => Client.db), a.connection);
+    assert.equal(b.run(() => Client.db), b.connection);
+    assert.equal(a.run(() => new User({ email: "a@example.com" }).constructor.db), a.connection);
+    // Outside any app, mongoose's default connection
+    assert.equal(Client.db, mongoose.connection);
+});
+
+test("tokens are signed and checked with the app's keys and clock", () => {
+    const a = createTestApp({ JWT_SECRET: "secret-of-app-a", ACCESS_TOKEN_TTL_MINUTES: "15" });
+    const b = createTestApp({ JWT_SECRET: "secret-of-app-b" });
+
+    const token = a.run(() => issueAccessToken(user));
+    assert.equal(a.run(() => decodeAccessToken(token)).userId, String(user._id));
+    assert.equal(b.run(() => decodeAccessToken(token)), null);
+
+    a.clock.advance(16 * 60 * 1000);
+    assert.equal(a.run(() => decodeAccessToken(token)), null);
+});
+
+test("stored dates come from the app's clock", () => {
+    const a = createTestApp();
+    const b = createTestApp();
+    b.clock.advance(60 * 60 * 1000);
+
+    const order = a.run(() => new Order({ clientId: user._id, items: [], totalPrice: 0 }));
+    assert.equal(order.createdAt.getTime(), a.clock.now());
+    assert.equal(b.run(() => historyEntry(null, "pending", user._id)).changedAt.getTime(), b.clock.now());
+});
+
+test("faults enabled in one app stay off in the other", () => {
+    const a = createTestApp({ FAULTS: "clients.get.latency" });
+    const b = createTestApp();
+    const enabled = (instance) => instance.run(() => listFaults().filter(fault => fault.enabled).map(fault => fault.name));
+
+    a.run(() => setFaultEnabled("orders.create.random-500", true));
+
+    assert.deepEqual(enabled(a).sort(), ["clients.get.latency", "orders.create.random-500"]);
+    assert.deepEqual(enabled(b), []);
+});
+
+test("failures are logged with the app's logger", async () => {
+    const a = createTestApp();
+    const b = createTestApp();
+
+    await a.run(() => recordAudit({ action: "create", resource: "client", resourceId: user._id }));
+
+    assert.equal(a.logger.lines.length, 1);
+    assert.match(a.logger.lines[0], /^Failed to write the audit entry for create client/);
+    assert.deepEqual(b.logger.lines, []);
+});
+
+test("each app answers with its own settings and clock", async (t) => {
+    const a = createTestApp();
+    const b = createTestApp({ NODE_ENV: "development" });
+    b.clock.advance(90 * 1000);
+
+    const [liveA, liveB] = await Promise.all([a, b].map(async (instance) => {
+        const request = await serve(t, instance);
+        return (await request("/health/live")).body.build;
+    }));
+
+    assert.equal(liveA.environment, "test");
+    assert.equal(liveB.environment, "development");
+    assert.equal(liveA.startedAt, new Date(Date.UTC(2025, 0, 1)).toISOString());
+    assert.equal(liveB.uptimeSeconds, 90);
+});
+
+test("each app's webhook worker runs with its connection and stops on its own", async () => {
+    const a = createTestApp();
+    const b = createTestApp();
+    const workerA = startWebhookWorker(a.app.locals, 10);
+    const workerB = startWebhookWorker(b.app.locals, 10);
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // The connections are not open, so every poll fails and is logged by its own app
+    await wait(50);
+    workerA.stop();
+    assert.match(a.logger.lines[0], /^Webhook retry worker failed:/);
+    assert.match(b.logger.lines[0], /^Webhook retry worker failed:/);
+
+    a.logger.lines.length = 0;
+    b.logger.lines.length = 0;
+    await wait(50);
+    workerB.stop();
+    assert.deepEqual(a.logger.lines, []);
+    assert.ok(b.logger.lines.length > 0);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createTestApp, serve } from "./helpers";
+import { issueAccessToken } from "../services/tokenService";
+import { RATE_LIMIT_POLICIES } from "../middleware/rateLimitMiddleware";
+import { loadConfig } from "../config";
+
+// The test profile turns rate limiting off; these apps turn it back on with small limits
+const limited = (env) => createTestApp({ RATE_LIMIT_ENABLED: "true", ...env });
+
+test("failed logins are limited per IP, with the quota in the headers", async (t) => {
+    const request = await serve(t, limited({ RATE_LIMIT_LOGIN: "2/60" }));
+    // Rejected by validation, so each attempt counts as a failure
+    const login = () => request("/auth/login", { method: "POST", body: {} });
+
+    const first = await login();
+    assert.equal(first.status, 400);
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+    assert.equal(first.headers.get("ratelimit-policy"), "2;w=60");
+
+    assert.equal((await login()).status, 400);
+    const blocked = await login();
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error.code, "RATE_LIMITED");
+    assert.deepEqual(blocked.body.error.details, { policy: "login", retryAfter: 60 });
+    assert.equal(blocked.headers.get("retry-after"), "60");
+});
+
+test("password changes are counted per IP and per signed-in user", () => {
+    const req = { ip: "203.0.113.7", body: {}, user: { userId: "u1" } };
+
+    assert.deepEqual(RATE_LIMIT_POLICIES.password.keys(req), ["ip:203.0.113.7", "user:u1"]);
+    assert.deepEqual(loadConfig({ NODE_ENV: "test", RATE_LIMIT_PASSWORD: "3/60" }).rateLimit.overrides.password, { limit: 3, windowMs: 60000 });
+});
+
+test("the window ends on the app's clock", async (t) => {
+    const instance = limited({ RATE_LIMIT_READ: "1/60" });
+    const request = await serve(t, instance);
+
+    assert.equal((await request("/")).status, 200);
+    assert.equal((await request("/")).status, 429);
+
+    instance.clock.advance(30 * 1000);
+    assert.equal((await request("/")).headers.get("retry-after"), "30");
+
+    instance.clock.advance(30 * 1000);
+    assert.equal((await request("/")).status, 200);
+});
+
+test("requests with a valid access token are counted per user", async (t) => {
+    const instance = limited({ RATE_LIMIT_READ: "1/60" });
+    const request = await serve(t, instance);
+    const tokenOf = (userId) => instance.run(() => issueAccessToken({ _id: userId, role: "user", tokenVersion: 0 }));
+    const asUser = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+    const alice = tokenOf(new mongoose.Types.ObjectId());
+    const bob = tokenOf(new mongoose.Types.ObjectId());
+
+    assert.equal((await request("/", asUser(alice))).status, 200);
+    assert.equal((await request("/", asUser(alice))).status, 429);
+    assert.equal((await request("/", asUser(bob))).status, 200);
+    // Anonymous requests have their own counter, per IP
+    assert.equal((await request("/")).status, 200);
+    // A token signed with another key is not trusted and falls back to the IP
+    assert.equal((await request("/", asUser(`${bob}x`))).status, 429);
+});
+
+test("each app counts on its own", async (t) => {
+    const requestA = await serve(t, limited({ RATE_LIMIT_READ: "1/60" }));
+    const requestB = await serve(t, limited({ RATE_LIMIT_READ: "1/60" }));
+
+    assert.equal((await requestA("/")).status, 200);
+    assert.equal((await requestA("/")).status, 429);
+    assert.equal((await requestB("/")).status, 200);
+});
+
+test("health probes and limits turned off are never limited", async (t) => {
+    const probed = await serve(t, limited({ RATE_LIMIT_READ: "1/60" }));
+    const unlimited = await serve(t, createTestApp({ RATE_LIMIT_READ: "1/60" }));
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await probed("/health/live")).status, 200);
+        const res = await unlimited("/");
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("ratelimit-limit"), null);
+    }
+});
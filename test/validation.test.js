@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { validate } from "../middleware/validationMiddleware";
+import { errorHandler } from "../middleware/errorHandler";
+import { SCHEMAS } from "../validation/schemas";
+import { MAX_PAGE_LIMIT } from "../utils/pagination";
+
+// Serves GET / behind `validate(schema)`, answering with the sanitized query
+const validating = async (t, schema) => {
+    const app = express();
+    app.get("/", validate(schema), (req, res) => res.json(req.query));
+    app.use(errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    return async (query) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/?${query}`);
+        return { status: res.status, body: await res.json() };
+    };
+};
+
+const failedFields = ({ body }) => body.error.details.map(detail => detail.field);
+
+test("the product list defaults and converts its query", async (t) => {
+    const list = await validating(t, SCHEMAS.listProducts);
+
+    assert.deepEqual((await list("")).body, { page: 1, limit: 10 });
+    assert.deepEqual((await list("minPrice=2.5&maxPrice=10&sort=-price")).body, { page: 1, limit: 10, minPrice: 2.5, maxPrice: 10, sort: "-price" });
+});
+
+test("the product list caps limit like the other lists", async (t) => {
+    const list = await validating(t, SCHEMAS.listProducts);
+
+    assert.equal((await list(`limit=${MAX_PAGE_LIMIT}`)).status, 200);
+    const res = await list(`limit=${MAX_PAGE_LIMIT + 1}`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(failedFields(res), ["limit"]);
+});
+
+test("the product list rejects empty prices and unknown sorts", async (t) => {
+    const list = await validating(t, SCHEMAS.listProducts);
+
+    const res = await list("minPrice=&maxPrice=abc&sort=stock&page=0");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+    assert.deepEqual(failedFields(res).sort(), ["maxPrice", "minPrice", "page", "sort"]);
+});
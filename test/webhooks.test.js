@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createHmac } from "crypto";
+import { createSeededApp, createTestApp, needsMongo } from "./helpers";
+import { retryDelay, signPayload, startWebhookWorker } from "../services/webhooks";
+import WebhookDelivery from "../models/WebhookDelivery";
+
+const SECRET = "a-secret-of-sixteen-chars";
+
+// Receives the deliveries, answering each with the next of `statuses` (then the last one again)
+const receiver = async (t, statuses = [200]) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, received };
+};
+
+// Resolves once `check` resolves to something truthy, checking every 20 ms for up to 5 seconds
+const waitFor = async (check) => {
+    for (let waited = 0; waited < 5000; waited += 20) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error("Timed out waiting");
+};
+
+test("payloads are signed with HMAC-SHA256 of the timestamp and body", () => {
+    const body = JSON.stringify({ event: "client.created" });
+
+    assert.equal(signPayload(SECRET, 1735689600, body), createHmac("sha256", SECRET).update(`1735689600.${body}`).digest("hex"));
+    assert.notEqual(signPayload(SECRET, 1735689601, body), signPayload(SECRET, 1735689600, body));
+});
+
+test("retries back off from the app's base delay, up to 6 hours", () => {
+    const { run } = createTestApp({ WEBHOOK_RETRY_BASE_SECONDS: "10" });
+
+    assert.deepEqual(run(() => [1, 2, 3].map(retryDelay)), [10000, 20000, 40000]);
+    assert.equal(run(() => retryDelay(20)), 6 * 60 * 60 * 1000);
+});
+
+// A seeded app with a webhook, created by the admin, for client.created
+const subscribed = async (t, url) => {
+    const instance = await createSeededApp(t);
+    const created = await instance.request("/webhooks", {
+        method: "POST",
+        headers: await instance.login("admin"),
+        body: { url, events: ["client.created"], secret: SECRET },
+    });
+    assert.equal(created.status, 201);
+
+    const staff = await instance.login("staff");
+    const createClient = (email) => instance.request("/clients", { method: "POST", headers: staff, body: { name: "Webhook Client", email } });
+    const findDelivery = () => instance.run(() => WebhookDelivery.findOne().lean());
+    return { ...instance, createClient, findDelivery };
+};
+
+test("creating a client delivers a signed client.created", needsMongo, async (t) => {
+    const { url, received } = await receiver(t);
+    const { createClient, findDelivery } = await subscribed(t, url);
+
+    const client = await createClient("hooked@example.com");
+    assert.equal(client.status, 201);
+
+    const [delivery] = await waitFor(() => received.length && received);
+    assert.equal(delivery.headers["x-webhook-event"], "client.created");
+    const timestamp = delivery.headers["x-webhook-timestamp"];
+    assert.equal(delivery.headers["x-webhook-signature"], `sha256=${signPayload(SECRET, timestamp, delivery.body)}`);
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, "client.created");
+    assert.deepEqual(payload.data, client.body);
+
+    const stored = await waitFor(async () => {
+        const found = await findDelivery();
+        return found && found.status === "succeeded" && found;
+    });
+    assert.equal(stored.attempts.length, 1);
+});
+
+test("a failed delivery stays pending until its retry is due on the app's clock", needsMongo, async (t) => {
+    const { url, received } = await receiver(t, [500, 200]);
+    const { app, clock, run, createClient, findDelivery } = await subscribed(t, url);
+    const worker = startWebhookWorker(app.locals, 20);
+    t.after(() => worker.stop());
+
+    assert.equal((await createClient("retried@example.com")).status, 201);
+    const failed = await waitFor(async () => {
+        const found = await findDelivery();
+        return found && found.attempts.length === 1 && found;
+    });
+    assert.equal(failed.status, "pending");
+    assert.equal(failed.attempts[0].statusCode, 500);
+    assert.equal(failed.nextAttemptAt.getTime(), clock.now() + run(() => retryDelay(1)));
+
+    // Not due yet: the worker leaves it alone
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(received.length, 1);
+
+    clock.advance(run(() => retryDelay(1)));
+    const retried = await waitFor(async () => {
+        const found = await findDelivery();
+        return found && found.status === "succeeded" && found;
+    });
+    assert.equal(retried.attempts.length, 2);
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers["x-webhook-id"], received[0].headers["x-webhook-id"]);
+});
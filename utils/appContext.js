@@ -0,0 +1,37 @@
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+import defaultConfig from "../config";
+import { systemClock } from "./clock";
+
+/**
+ * What the code runs with: the `locals` of the app handling the request (see app.js), i.e.
+ * `{ config, connection, clock, logger, faults, mailTransport, ... }`. createApp runs every
+ * request in its app's context, and the services read settings, time and logger from
+ * appContext() instead of config.js, Date.now() and console, so that several apps can run side
+ * by side in one process. Every stored date comes from currentDate(), the models' date defaults
+ * included; only durations (e.g. of a webhook call) are measured with the system clock. The
+ * models follow the context's connection (see models/contextModel.js).
+ *
+ * Code running outside any app, such as seed.js, gets the default context: the environment's
+ * settings, mongoose's default connection, the system clock and console.
+ */
+
+const storage = new AsyncLocalStorage();
+
+const DEFAULT_CONTEXT = { config: defaultConfig, connection: mongoose.connection, clock: systemClock, logger: console };
+
+export const appContext = () => storage.getStore() || DEFAULT_CONTEXT;
+
+// Runs `fn` in `context`, along with the callbacks and promises it starts
+export const runInContext = (context, fn) => storage.run(context, fn);
+
+// Wraps `fn` to run in the current context, e.g. for an event listener called from another one
+export const bindContext = (fn) => {
+    const context = appContext();
+    return (...args) => runInContext(context, () => fn(...args));
+};
+
+// Milliseconds, and the date, of the context's clock
+export const currentTime = () => appContext().clock.now();
+
+export const currentDate = () => new Date(currentTime());
@@ -0,0 +1,2 @@
+// The real time. Anything taking a `clock` accepts another `{ now() }` returning milliseconds, e.g. a fake one in tests.
+export const systemClock = { now: () => Date.now() };
@@ -0,0 +1,94 @@
+import { ValidationError } from "./errors";
+
+// Cells starting with one of these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line, with the `columns` of `row` in that order.
+ */
+export const csvLine = (row, columns) => `${columns.map(column => csvCell(row[column])).join(",")}\r\n`;
+
+/**
+ * RFC 4180 CSV for `rows`, with one column per entry of `columns` (the header line) in that order.
+ */
+export const toCsv = (rows, columns) =>
+    csvLine(Object.fromEntries(columns.map(column => [column, column])), columns) + rows.map(row => csvLine(row, columns)).join("");
+
+/**
+ * Sends `rows` as a CSV attachment named `<filename>.csv`.
+ */
+export const sendCsv = (res, filename, rows, columns) => {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    res.send(toCsv(rows, columns));
+};
+
+/**
+ * Parses RFC 4180 CSV (quoted fields may contain commas, quotes and line breaks). The first line
+ * is the header; every other non-empty line becomes `{ line, record }` with `record` keyed by the
+ * header. Fails with a 400 `INVALID_CSV` when the text can't be split into cells.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endCell = () => {
+        cells.push(cell);
+        cell = "";
+    };
+    const endRow = () => {
+        endCell();
+        if (cells.length > 1 || cells[0] !== "") rows.push({ line: rowLine, cells });
+        cells = [];
+    };
+
+    const input = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === "") {
+            quoted = true;
+        } else if (char === ",") {
+            endCell();
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            endRow();
+            rowLine = ++line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        const message = `Unterminated quoted field starting on line ${rowLine}`;
+        throw new ValidationError(message, [{ field: "body", location: "body", message }], "INVALID_CSV");
+    }
+    endRow();
+
+    const [header, ...records] = rows;
+    if (!header) return [];
+    const columns = header.cells.map(column => column.trim());
+    return records.map(({ line: recordLine, cells: values }) => ({
+        line: recordLine,
+        record: Object.fromEntries(columns.map((column, index) => [column, values[index]]).filter(([column, value]) => column && value !== undefined)),
+    }));
+};
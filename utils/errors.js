@@ -0,0 +1,80 @@
+/**
+ * Errors thrown by route handlers and turned into the error envelope by middleware/errorHandler.
+ * `code` is a stable machine readable identifier, `details` carries optional structured context
+ * (e.g. the invalid fields).
+ */
+export class AppError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class ValidationError extends AppError {
+    constructor(message = "Invalid request", details, code = "VALIDATION_ERROR") {
+        super(400, code, message, details);
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+        super(401, code, message);
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = "Forbidden. Insufficient permissions.", details, code = "FORBIDDEN") {
+        super(403, code, message, details);
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = "Resource not found", code = "NOT_FOUND") {
+        super(404, code, message);
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message = "Conflict", details, code = "CONFLICT") {
+        super(409, code, message, details);
+    }
+}
+
+export class UnprocessableEntityError extends AppError {
+    constructor(message = "Unprocessable entity", details, code = "UNPROCESSABLE_ENTITY") {
+        super(422, code, message, details);
+    }
+}
+
+export class PreconditionFailedError extends AppError {
+    constructor(message = "Precondition failed", details, code = "PRECONDITION_FAILED") {
+        super(412, code, message, details);
+    }
+}
+
+export class PayloadTooLargeError extends AppError {
+    constructor(message = "Request body is too large", details, code = "PAYLOAD_TOO_LARGE") {
+        super(413, code, message, details);
+    }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+    constructor(message = "Unsupported media type", details, code = "UNSUPPORTED_MEDIA_TYPE") {
+        super(415, code, message, details);
+    }
+}
+
+export class LockedError extends AppError {
+    constructor(message = "Resource is locked", details, code = "LOCKED") {
+        super(423, code, message, details);
+    }
+}
+
+export class TooManyRequestsError extends AppError {
+    constructor(message = "Too many requests", details, code = "RATE_LIMITED") {
+        super(429, code, message, details);
+    }
+}
@@ -0,0 +1,65 @@
+import { createHash } from "crypto";
+import { PreconditionFailedError } from "./errors";
+
+/**
+ * Clients and orders are versioned by Mongoose's `__v`, which every update increments.
+ * The version is exposed as a strong ETag, e.g. `"3"`. A read that embeds other documents (an
+ * order with its client and products) can change while the version does not, so its ETag also
+ * carries a digest of the body, e.g. `"3-9f86d081884c7d65"`.
+ */
+export const etag = (version, body) => {
+    if (body === undefined) return `"${version}"`;
+    const digest = createHash("sha256").update(JSON.stringify(body)).digest("hex").slice(0, 16);
+    return `"${version}-${digest}"`;
+};
+
+// Tags listed in an If-Match / If-None-Match header, or null for `*`
+const parseTags = (header) => {
+    if (header.trim() === "*") return null;
+    return header.split(",").map(tag => tag.trim()).filter(Boolean);
+};
+
+/**
+ * Versions the client expects from `If-Match`, or undefined when any version will do
+ * (no header, or `*`). If-Match uses the strong comparison, so weak `W/` tags never match.
+ * A write only depends on the document itself: the version is read from the part before
+ * the digest, and the other tags never match.
+ */
+export const expectedVersions = (req) => {
+    const header = req.get("If-Match");
+    if (!header) return undefined;
+    const tags = parseTags(header);
+    if (!tags) return undefined;
+    return tags
+        .map(tag => /^"(\d+)(?:-[0-9a-f]+)?"$/.exec(tag))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+};
+
+export const preconditionFailed = (current) =>
+    new PreconditionFailedError("The resource was modified since it was read", { etag: etag(current) });
+
+/**
+ * Throws a 412 when `versions` (from expectedVersions) does not include the current version.
+ */
+export const assertVersion = (versions, current) => {
+    if (versions && !versions.includes(current)) throw preconditionFailed(current);
+};
+
+/**
+ * Sends `body` with the ETag of `version`, or an empty 304 when it matches `If-None-Match`
+ * (weak comparison, `W/"3"` matches `"3"`). With `embedsOthers`, the ETag also covers the body,
+ * see etag.
+ */
+export const sendVersioned = (req, res, version, body, { embedsOthers = false } = {}) => {
+    const tag = embedsOthers ? etag(version, body) : etag(version);
+    res.set("ETag", tag);
+
+    const header = req.get("If-None-Match");
+    if (header) {
+        const tags = parseTags(header);
+        if (!tags || tags.some(candidate => candidate.replace(/^W\//, "") === tag)) return res.status(304).end();
+    }
+
+    res.json(body);
+};
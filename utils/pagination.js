@@ -0,0 +1,94 @@
+import { Types } from "mongoose";
+import { ValidationError } from "./errors";
+
+// Largest `limit` a list endpoint accepts
+export const MAX_PAGE_LIMIT = 100;
+
+const CURSOR_DIRECTIONS = ["next", "prev"];
+
+// Dates and ObjectIds are tagged so that they survive the round trip through JSON
+const encodeValue = (value) => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof Types.ObjectId) return { $oid: value.toString() };
+    return value ?? null;
+};
+
+const decodeValue = (value) => {
+    if (value && typeof value === "object" && "$date" in value) {
+        const date = new Date(value.$date);
+        if (Number.isNaN(date.getTime())) throw new Error("invalid date");
+        return date;
+    }
+    if (value && typeof value === "object" && "$oid" in value) return new Types.ObjectId(value.$oid);
+    if (value !== null && typeof value === "object") throw new Error("invalid value");
+    return value;
+};
+
+const sortKey = (sort) => Object.entries(sort).map(([path, direction]) => `${path}:${direction}`).join(",");
+
+const reverseSort = (sort) => Object.fromEntries(Object.entries(sort).map(([path, direction]) => [path, -direction]));
+
+const invalidCursor = (message = "Invalid or expired cursor") =>
+    new ValidationError(message, [{ field: "cursor", location: "query", message }], "INVALID_CURSOR");
+
+/**
+ * Opaque cursor pointing just after (`next`) or just before (`prev`) a document in the given sort.
+ * The sort is part of the cursor, so a cursor can't be reused with a different `sort`.
+ */
+export const encodeCursor = (doc, sort, direction) => Buffer.from(JSON.stringify({
+    s: sortKey(sort),
+    d: direction,
+    v: Object.keys(sort).map(path => encodeValue(doc[path])),
+})).toString("base64url");
+
+export const decodeCursor = (cursor, sort) => {
+    let position;
+    try {
+        const { s, d, v } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!CURSOR_DIRECTIONS.includes(d) || !Array.isArray(v) || v.length !== Object.keys(sort).length) throw new Error("malformed");
+        position = { sort: s, direction: d, values: v.map(decodeValue) };
+    } catch {
+        throw invalidCursor();
+    }
+    if (position.sort !== sortKey(sort)) throw invalidCursor("The cursor was issued for a different sort order");
+    return position;
+};
+
+// Matches the documents after (or before) `values` in `sort`: the first differing field decides
+const keysetFilter = (sort, values, direction) => {
+    const paths = Object.keys(sort);
+    return {
+        $or: paths.map((path, index) => {
+            const clause = Object.fromEntries(paths.slice(0, index).map((previous, i) => [previous, values[i]]));
+            const forward = (sort[path] === 1) === (direction === "next");
+            clause[path] = { [forward ? "$gt" : "$lt"]: values[index] };
+            return clause;
+        }),
+    };
+};
+
+/**
+ * Keyset pagination. `find(filter)` builds the query (projection); `sort` must end with `_id` so
+ * that every position is unique. Without `cursor` the first page is returned. `populate(docs)`
+ * completes the page once the cursors are built: they hold the stored values, so a reference
+ * whose document is missing (populated as null) still has its position.
+ *
+ * Resolves to `{ data, nextCursor, prevCursor }`; a cursor is null when there is nothing that way.
+ */
+export const findPage = async (find, { filter, sort, limit, cursor, populate = docs => docs }) => {
+    const position = cursor ? decodeCursor(cursor, sort) : null;
+    const backwards = position ? position.direction === "prev" : false;
+    const query = position ? { $and: [filter, keysetFilter(sort, position.values, position.direction)] } : filter;
+
+    // One extra document tells whether there is another page
+    const docs = await find(query).sort(backwards ? reverseSort(sort) : sort).limit(limit + 1);
+    const hasMore = docs.length > limit;
+    const data = docs.slice(0, limit);
+    if (backwards) data.reverse();
+
+    const first = data[0];
+    const last = data[data.length - 1];
+    const nextCursor = last && (backwards || hasMore) ? encodeCursor(last, sort, "next") : null;
+    const prevCursor = first && position && (!backwards || hasMore) ? encodeCursor(first, sort, "prev") : null;
+    return { data: await populate(data), nextCursor, prevCursor };
+};
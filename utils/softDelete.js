@@ -0,0 +1,7 @@
+// Clients and orders are soft deleted: `deletedAt` is set instead of removing the document.
+
+// Restricts a query filter to records that are not deleted, unless `includeDeleted` is set
+export const activeOnly = (filter, includeDeleted = false) => (includeDeleted ? filter : { ...filter, deletedAt: null });
+
+// Restricts a query filter to deleted records
+export const deletedOnly = (filter) => ({ ...filter, deletedAt: { $ne: null } });
@@ -0,0 +1,2 @@
+// Escape user input before building a RegExp from it
+export const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -0,0 +1,32 @@
+import { BODIES } from "./schemas";
+
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+
+// Keywords copied as-is from a field definition to its OpenAPI schema
+const PASSTHROUGH = ["enum", "minimum", "maximum", "minLength", "maxLength", "minItems", "default", "description", "example"];
+
+export const toOpenApiSchema = (field) => {
+    const schema = { type: field.type };
+
+    if (field.format === "email" || field.format === "date-time") schema.format = field.format;
+    if (field.format === "objectId") schema.pattern = OBJECT_ID_PATTERN;
+    if (field.format === "url") schema.format = "uri";
+    for (const key of PASSTHROUGH) {
+        if (field[key] !== undefined) schema[key] = field[key];
+    }
+
+    if (field.items) schema.items = toOpenApiSchema(field.items);
+    if (field.properties) Object.assign(schema, toOpenApiObject(field.properties));
+    return schema;
+};
+
+export const toOpenApiObject = (fields) => {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    const properties = Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, toOpenApiSchema(field)]));
+
+    return required.length ? { type: "object", required, properties } : { type: "object", properties };
+};
+
+// Every request body schema, keyed by its Swagger component name
+export const requestBodySchemas = () =>
+    Object.fromEntries(Object.entries(BODIES).map(([name, fields]) => [name, toOpenApiObject(fields)]));
@@ -0,0 +1,213 @@
+import { ORDER_STATUSES } from "../services/orderStatus";
+import { AUDIT_RESOURCES, AUDIT_ACTIONS } from "../services/audit";
+import { ORDER_SORT_FIELDS, ORDER_FIELDS, ORDER_EXPANSIONS } from "../services/orderQuery";
+import { MAX_PAGE_LIMIT } from "../utils/pagination";
+import { REPORT_INTERVALS } from "../services/reports";
+import { WEBHOOK_EVENTS } from "../services/webhooks";
+
+/**
+ * Declarative request schemas. Every field is described once and drives both the
+ * express-validator chains (see `validate` in middleware/validationMiddleware.js) and
+ * the Swagger request bodies (see validation/openapi.js).
+ *
+ * Field options: type, required, label, format ("email" | "objectId" | "date-time" | "url"), enum, minimum,
+ * maximum, minLength, maxLength, minItems, items, properties, trim, default,
+ * description and example. Arrays in the query accept `a,b` as well as repeated parameters.
+ *
+ * `exact: ["query"]` on a schema rejects query parameters it does not list.
+ */
+
+// Fields that may be used with the `sort` query parameter of GET /products
+const PRODUCT_SORT_FIELDS = ["name", "price"];
+
+const objectId = (label, extra = {}) => ({ type: "string", format: "objectId", required: true, label, ...extra });
+
+const pagination = {
+    page: { type: "integer", minimum: 1, default: 1, label: "Page" },
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_LIMIT, default: 10, label: "Limit" },
+};
+
+// List endpoints that also support cursor pagination (see utils/pagination.js). `cursor=` starts at the first page.
+const cursorPagination = {
+    ...pagination,
+    cursor: { type: "string", maxLength: 1024, label: "Cursor" },
+    count: { type: "boolean", label: "count" },
+};
+
+const status = { type: "string", enum: ORDER_STATUSES, label: "Status" };
+// Comma separated list of statuses, as in GET /orders
+const statusList = { type: "array", label: "Status", items: status };
+
+// Also return soft deleted records
+const includeDeleted = { type: "boolean", default: false, label: "includeDeleted" };
+
+// Filters and output format shared by every report
+const reportQuery = {
+    from: { type: "string", format: "date-time", label: "From" },
+    to: { type: "string", format: "date-time", label: "To" },
+    status: statusList,
+    format: { type: "string", enum: ["json", "csv"], default: "json", label: "Format" },
+};
+const reportTop = { type: "integer", minimum: 1, maximum: MAX_PAGE_LIMIT, default: 10, label: "Limit" };
+
+// Bulk import and export, see services/importExport.js
+const importQuery = { dryRun: { type: "boolean", default: false, label: "dryRun" } };
+const exportFormat = { type: "string", enum: ["csv", "ndjson"], default: "csv", label: "Format" };
+
+const orderItems = {
+    type: "array",
+    required: true,
+    minItems: 1,
+    label: "Items",
+    items: {
+        type: "object",
+        label: "Item",
+        properties: {
+            productId: objectId("Product ID", { description: "The product ID." }),
+            quantity: { type: "integer", required: true, minimum: 1, label: "Quantity", description: "Quantity of the product.", example: 2 },
+        },
+    },
+};
+
+// Request bodies, also registered in Swagger as components/schemas/<name>
+export const BODIES = {
+    ClientInput: {
+        name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100, label: "Name", description: "The name of the client.", example: "John Doe" },
+        email: { type: "string", required: true, trim: true, format: "email", label: "Email", description: "The email of the client.", example: "john.doe@example.com" },
+    },
+    OrderInput: {
+        clientId: objectId("Client ID", { description: "The ID of the client placing the order." }),
+        items: orderItems,
+    },
+    OrderItemsInput: {
+        items: orderItems,
+    },
+    WebhookInput: {
+        url: { type: "string", required: true, trim: true, format: "url", maxLength: 2048, label: "URL", description: "Where events are POSTed.", example: "https://example.com/hooks/orders" },
+        secret: { type: "string", minLength: 16, maxLength: 256, label: "Secret", description: "Key the deliveries are signed with. Generated and returned once when left out on create; kept when left out on replace." },
+        events: {
+            type: "array",
+            required: true,
+            minItems: 1,
+            label: "Events",
+            items: { type: "string", enum: WEBHOOK_EVENTS, label: "Event" },
+            example: ["order.created", "order.status_changed"],
+        },
+        description: { type: "string", trim: true, maxLength: 200, label: "Description", example: "Fulfilment service" },
+        active: { type: "boolean", default: true, label: "Active", description: "Inactive webhooks receive nothing." },
+    },
+};
+
+const clientIdParam = { id: objectId("Client ID") };
+const orderIdParam = { id: objectId("Order ID") };
+const clientOrderParams = { clientId: objectId("Client ID"), orderId: objectId("Order ID") };
+const webhookIdParam = { id: objectId("Webhook ID") };
+const webhookDeliveryParams = { id: objectId("Webhook ID"), deliveryId: objectId("Delivery ID") };
+
+export const SCHEMAS = {
+    listClients: {
+        query: {
+            ...cursorPagination,
+            name: { type: "string", maxLength: 100, label: "Name" },
+            email: { type: "string", maxLength: 100, label: "Email" },
+            includeDeleted,
+        },
+    },
+    importClients: { exact: ["query"], query: importQuery },
+    exportClients: { exact: ["query"], query: { format: exportFormat, includeDeleted } },
+    getClient: { params: clientIdParam, query: { includeDeleted } },
+    createClient: { body: BODIES.ClientInput },
+    replaceClient: { params: clientIdParam, body: BODIES.ClientInput },
+    deleteClient: { params: clientIdParam },
+    restoreClient: { params: clientIdParam },
+
+    listProducts: {
+        query: {
+            ...pagination,
+            name: { type: "string", maxLength: 100, label: "Name" },
+            minPrice: { type: "number", minimum: 0, label: "minPrice" },
+            maxPrice: { type: "number", minimum: 0, label: "maxPrice" },
+            sort: { type: "string", enum: PRODUCT_SORT_FIELDS.flatMap(field => [field, `-${field}`]), label: "Sort" },
+        },
+    },
+
+    listOrders: {
+        exact: ["query"],
+        query: {
+            ...cursorPagination,
+            includeDeleted,
+            status: statusList,
+            clientId: { type: "string", format: "objectId", label: "Client ID" },
+            productId: { type: "string", format: "objectId", label: "Product ID" },
+            minTotal: { type: "number", minimum: 0, label: "minTotal" },
+            maxTotal: { type: "number", minimum: 0, label: "maxTotal" },
+            createdFrom: { type: "string", format: "date-time", label: "createdFrom" },
+            createdTo: { type: "string", format: "date-time", label: "createdTo" },
+            sort: {
+                type: "array",
+                label: "Sort",
+                items: { type: "string", label: "Sort", enum: ORDER_SORT_FIELDS.flatMap(field => [field, `-${field}`]) },
+            },
+            fields: { type: "array", label: "Fields", items: { type: "string", label: "Fields", enum: ORDER_FIELDS } },
+            expand: { type: "array", label: "Expand", items: { type: "string", label: "Expand", enum: ORDER_EXPANSIONS } },
+        },
+    },
+    importOrders: { exact: ["query"], query: importQuery },
+    exportOrders: {
+        exact: ["query"],
+        query: {
+            format: exportFormat,
+            includeDeleted,
+            status: statusList,
+            clientId: { type: "string", format: "objectId", label: "Client ID" },
+            createdFrom: { type: "string", format: "date-time", label: "createdFrom" },
+            createdTo: { type: "string", format: "date-time", label: "createdTo" },
+        },
+    },
+    getOrder: { params: orderIdParam, query: { includeDeleted } },
+    createOrder: { body: BODIES.OrderInput },
+    updateOrder: { params: orderIdParam, body: BODIES.OrderItemsInput },
+    transitionOrder: { params: orderIdParam },
+    deleteOrder: { params: orderIdParam },
+    restoreOrder: { params: orderIdParam },
+
+    listClientOrders: { params: { clientId: objectId("Client ID") }, query: { ...pagination, status: statusList, includeDeleted } },
+    createClientOrder: { params: { clientId: objectId("Client ID") }, body: BODIES.OrderItemsInput },
+    getClientOrder: { params: clientOrderParams, query: { includeDeleted } },
+    updateClientOrder: { params: clientOrderParams, body: BODIES.OrderItemsInput },
+    deleteClientOrder: { params: clientOrderParams },
+
+    listWebhooks: { query: pagination },
+    getWebhook: { params: webhookIdParam },
+    createWebhook: { body: BODIES.WebhookInput },
+    replaceWebhook: { params: webhookIdParam, body: BODIES.WebhookInput },
+    deleteWebhook: { params: webhookIdParam },
+    listWebhookDeliveries: {
+        params: webhookIdParam,
+        query: {
+            ...pagination,
+            status: { type: "string", enum: ["pending", "succeeded", "failed"], label: "Status" },
+            event: { type: "string", enum: WEBHOOK_EVENTS, label: "Event" },
+        },
+    },
+    getWebhookDelivery: { params: webhookDeliveryParams },
+    redeliverWebhookDelivery: { params: webhookDeliveryParams },
+
+    listAudit: {
+        query: {
+            ...pagination,
+            actor: { type: "string", format: "objectId", label: "Actor" },
+            resource: { type: "string", enum: AUDIT_RESOURCES, label: "Resource" },
+            resourceId: { type: "string", format: "objectId", label: "Resource ID" },
+            action: { type: "string", enum: AUDIT_ACTIONS, label: "Action" },
+            from: { type: "string", format: "date-time", label: "From" },
+            to: { type: "string", format: "date-time", label: "To" },
+        },
+    },
+
+    revenueReport: { exact: ["query"], query: { ...reportQuery, interval: { type: "string", enum: REPORT_INTERVALS, default: "day", label: "Interval" } } },
+    ordersByStatusReport: { exact: ["query"], query: reportQuery },
+    topClientsReport: { exact: ["query"], query: { ...reportQuery, limit: reportTop } },
+    topProductsReport: { exact: ["query"], query: { ...reportQuery, limit: reportTop } },
+    averageOrderValueReport: { exact: ["query"], query: reportQuery },
+};